@@ -0,0 +1,173 @@
+/**
+ * Canvas chart that overlays the normalized histograms of several Galton board engines (see engine.js),
+ * so boards with different numbers of rows can be compared on one axis.
+ * Loaded as a plain browser script; exposes the global `createComparisonChart`.
+ */
+(function (root) {
+    'use strict';
+
+    // --- Colors ---
+    const SERIES_COLORS = ['#2980b9', '#e67e22']; // Line colors of the histograms, in engine order.
+    const SERIES_FILLS = ['rgba(41, 128, 185, 0.2)', 'rgba(230, 126, 34, 0.2)']; // Matching translucent fills.
+    const AXIS_COLOR = '#7f8c8d'; // Color for the axes, ticks and labels.
+
+    // --- Layout (CSS pixels) ---
+    const CHART_HEIGHT = 220; // Height of the chart.
+    const MAX_CHART_WIDTH = 640; // Widest the chart gets on large screens.
+    const PADDING = { top: 12, right: 16, bottom: 34, left: 44 }; // Space around the plot area for the axes.
+
+    /**
+     * Creates a chart comparing the bin counts of several engines.
+     * Each histogram is drawn over the relative bin position, from 0 at the left edge of the leftmost bin to 1
+     * at the right edge of the rightmost one, with its bins sharing that range equally. Bar heights are densities
+     * (share of the balls divided by bin width), so every histogram encloses the same area whatever its number
+     * of bins.
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @param {Array<{engine: object, label: string}>} series - The engines to compare, with their legend labels.
+     *        The array is kept, so labels changed in it show up with the next render().
+     * @returns {object} The chart, with resize(availableWidth) and render().
+     */
+    function createComparisonChart(canvas, series) {
+        const ctx = canvas.getContext('2d');
+        let width = MAX_CHART_WIDTH; // Size of the chart in CSS pixels.
+        let pixelRatio = 1; // Device pixels per CSS pixel, as of the last resize().
+
+        /**
+         * Sizes the chart to fit the available width, at device resolution.
+         * @param {number} availableWidth - Widest the chart may be, in CSS pixels.
+         */
+        function resize(availableWidth) {
+            width = Math.min(MAX_CHART_WIDTH, availableWidth);
+            pixelRatio = root.devicePixelRatio || 1;
+            canvas.width = Math.round(width * pixelRatio);
+            canvas.height = Math.round(CHART_HEIGHT * pixelRatio);
+            canvas.style.width = width + 'px';
+            canvas.style.height = CHART_HEIGHT + 'px';
+        }
+
+        /**
+         * Converts an engine's bin counts to densities over the range 0 to 1.
+         * @param {object} engine - The engine.
+         * @returns {number[]|null} The density of each bin, or null if the engine has no balls in its bins yet.
+         */
+        function getDensities(engine) {
+            const counts = engine.getCounts();
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            if (total === 0) return null;
+            return counts.map(count => count / total * counts.length);
+        }
+
+        /**
+         * Draws the axes with ticks at 0, 0.5 and 1 on the x axis and at the top of the density range.
+         * @param {object} plot - The plot area: left, top, width and height.
+         * @param {number} maxDensity - The density at the top of the plot.
+         */
+        function drawAxes(plot, maxDensity) {
+            ctx.strokeStyle = AXIS_COLOR;
+            ctx.fillStyle = AXIS_COLOR;
+            ctx.lineWidth = 1;
+            ctx.font = '11px Arial';
+            ctx.beginPath();
+            ctx.moveTo(plot.left, plot.top);
+            ctx.lineTo(plot.left, plot.top + plot.height);
+            ctx.lineTo(plot.left + plot.width, plot.top + plot.height);
+            ctx.stroke();
+
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            [0, 0.5, 1].forEach(fraction => {
+                const x = plot.left + fraction * plot.width;
+                ctx.beginPath();
+                ctx.moveTo(x, plot.top + plot.height);
+                ctx.lineTo(x, plot.top + plot.height + 4);
+                ctx.stroke();
+                ctx.fillText(String(fraction), x, plot.top + plot.height + 6);
+            });
+            ctx.fillText('relative bin position', plot.left + plot.width / 2, plot.top + plot.height + 19);
+
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(maxDensity.toFixed(1), plot.left - 6, plot.top);
+            ctx.fillText('0', plot.left - 6, plot.top + plot.height);
+            ctx.save();
+            ctx.translate(12, plot.top + plot.height / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textAlign = 'center';
+            ctx.fillText('density', 0, 0);
+            ctx.restore();
+        }
+
+        /**
+         * Draws one histogram as a filled step outline.
+         * @param {object} plot - The plot area: left, top, width and height.
+         * @param {number[]} densities - Density of each bin.
+         * @param {number} maxDensity - The density at the top of the plot.
+         * @param {number} index - Position of the series, which picks its colors.
+         */
+        function drawHistogram(plot, densities, maxDensity, index) {
+            const binWidth = plot.width / densities.length;
+            const bottom = plot.top + plot.height;
+            ctx.beginPath();
+            ctx.moveTo(plot.left, bottom);
+            densities.forEach((density, k) => {
+                const y = bottom - density / maxDensity * plot.height;
+                ctx.lineTo(plot.left + k * binWidth, y);
+                ctx.lineTo(plot.left + (k + 1) * binWidth, y);
+            });
+            ctx.lineTo(plot.left + plot.width, bottom);
+            ctx.fillStyle = SERIES_FILLS[index % SERIES_FILLS.length];
+            ctx.fill();
+            ctx.strokeStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        /**
+         * Draws the legend in the top right corner of the plot.
+         * @param {object} plot - The plot area: left, top, width and height.
+         */
+        function drawLegend(plot) {
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            series.forEach(({ label }, index) => {
+                const y = plot.top + 8 + index * 16;
+                const right = plot.left + plot.width;
+                ctx.fillStyle = SERIES_COLORS[index % SERIES_COLORS.length];
+                ctx.fillRect(right - 12, y - 5, 12, 10);
+                ctx.fillText(label, right - 18, y);
+            });
+        }
+
+        /**
+         * Clears the chart and draws the current histograms of all engines.
+         */
+        function render() {
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0); // Draw in CSS pixels.
+            ctx.clearRect(0, 0, width, CHART_HEIGHT);
+            const plot = {
+                left: PADDING.left,
+                top: PADDING.top,
+                width: width - PADDING.left - PADDING.right,
+                height: CHART_HEIGHT - PADDING.top - PADDING.bottom
+            };
+            const histograms = series.map(({ engine }) => getDensities(engine));
+            // Round the top of the scale up to a tenth, so it does not jitter with every ball.
+            const maxDensity = Math.ceil(10 * histograms.reduce((max, densities) =>
+                Math.max(max, ...(densities || [0])), 1)) / 10;
+
+            drawAxes(plot, maxDensity);
+            histograms.forEach((densities, index) => {
+                if (densities) drawHistogram(plot, densities, maxDensity, index);
+            });
+            drawLegend(plot);
+        }
+
+        return {
+            resize,
+            render
+        };
+    }
+
+    root.createComparisonChart = createComparisonChart;
+}(typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,1483 @@
+/**
+ * Headless Galton board simulation engine.
+ * Holds the board geometry, pegs, bins and balls and advances the physics with step(dt), without touching the DOM.
+ * Works as a plain browser script loaded after stats.js (exposed as the global `GaltonEngine`) and as a CommonJS
+ * module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./stats.js'));
+    } else {
+        root.GaltonEngine = factory(root.GaltonStats);
+    }
+}(typeof self !== 'undefined' ? self : this, function (stats) {
+    'use strict';
+
+    // --- Base Configuration (Dimensions of the board in board units) ---
+    // The physics runs in these units whatever the size of the screen, so a seed gives the same run on every
+    // screen; the renderer scales the board to fit the available width (see renderer.js).
+    const BASE_PEG_RADIUS = 6; // Default radius of a single peg.
+    const BASE_BALL_RADIUS = 5; // Default radius of a single ball.
+    const BASE_PEG_SPACING_X = 40; // Default horizontal distance between centers of adjacent pegs.
+    const BASE_PEG_SPACING_Y = 30; // Default vertical distance between centers of peg rows.
+    const BASE_START_Y_OFFSET = 30; // Default vertical offset from the board top to the first peg row.
+    const BASE_DRAWN_BIN_HEIGHT = 60; // Default visual height of the bins.
+    const BASE_SPACE_BELOW_PEGS = BASE_PEG_SPACING_Y; // Default vertical space between the last peg row and the top of the bins.
+    const BASE_BOTTOM_PADDING = 40; // Default padding at the very bottom of the board.
+    const BOARD_WIDTH_IN_SPACINGS = 3.5; // Extra peg spacings of board width beyond the number of rows.
+
+    // --- Physics Constants ---
+    // These constants control the behavior of balls during the simulation.
+    // Values are fine-tuned so that every ball meets one peg per row, as on the ideal board. Distances are in board
+    // units (CSS pixels when the board is drawn at full size) and times in seconds, so the physics does not depend on the frame rate.
+    const FIXED_TIME_STEP = 1 / 60; // Length of one physics step in seconds.
+    const GRAVITY = 540; // Acceleration due to gravity, affecting ball's vertical speed (units/s²).
+    const BOUNCE_FACTOR = 0.1; // Coefficient of restitution for ball collisions (lower value means less bounce).
+    const HORIZONTAL_BUMP = 50; // Maximum horizontal speed a peg gives a ball (units/s); above about 60, balls skip rows.
+    const MIN_BOUNCE_SPEED = 30; // Minimum horizontal speed after hitting a peg, to prevent stalling (units/s).
+    const INITIAL_SPEED_SPREAD = 30; // Range of the small random horizontal speed of a new ball (units/s).
+    const FULL_BIN_MIN_SPEED = 6; // Horizontal speed below which a ball bouncing off a full bin gets a nudge (units/s).
+    const FULL_BIN_NUDGE_SPEED = 12; // Horizontal speed of that nudge (units/s).
+    const WALL_DAMPING = 0.5; // Fraction of horizontal speed a ball keeps when it bounces off a side wall.
+    const SETTLE_SPEED = 20; // Speed below which a stably supported ball comes to rest on a pile (units/s).
+    const MAX_REST_TIME = 0.5; // Time after which a slow ball touching a pile comes to rest even if it is not wedged in (s).
+    const CONTACT_TOLERANCE = 0.01; // Overlap a resting ball may keep, and gap up to which it still touches something (units).
+
+    // --- Animation Timing ---
+    const MAX_FRAME_TIME = 0.25; // Longest frame time (s) simulated at once, e.g. after a throttled background tab.
+    const MIN_DROP_INTERVAL = 0.01; // Shortest time between two ball drops of an animated run (s).
+    const MAX_DROP_INTERVAL = 0.1; // Longest time between two ball drops of an animated run (s).
+    const DROP_INTERVAL_BALLS = 50; // Number of balls whose drops together take about a second, within those caps.
+
+    // Physics constants as one object, e.g. for recording them alongside exported results. These are the
+    // defaults; an engine's `physics` option can change any of them except the time step.
+    const PHYSICS = Object.freeze({
+        fixedTimeStep: FIXED_TIME_STEP,
+        gravity: GRAVITY,
+        bounceFactor: BOUNCE_FACTOR,
+        horizontalBump: HORIZONTAL_BUMP,
+        minBounceSpeed: MIN_BOUNCE_SPEED,
+        initialSpeedSpread: INITIAL_SPEED_SPREAD,
+        fullBinMinSpeed: FULL_BIN_MIN_SPEED,
+        fullBinNudgeSpeed: FULL_BIN_NUDGE_SPEED,
+        wallDamping: WALL_DAMPING,
+        settleSpeed: SETTLE_SPEED,
+        maxRestTime: MAX_REST_TIME,
+        pegRadius: BASE_PEG_RADIUS,
+        ballRadius: BASE_BALL_RADIUS
+    });
+
+    // Named sets of changes to the physics constants, for the `physics` option.
+    // - 'classic': the defaults; every ball meets one peg per row, so the bins follow the binomial distribution.
+    // - 'bouncy': lively bounces and strong kicks; balls fly across several pegs at a time and spread much wider.
+    // - 'sticky': dead bounces and gentle kicks; balls roll from peg to peg and stay binomial, like 'classic'.
+    // - 'lowGravity': a third of the gravity, so the kicks from the pegs carry balls past the pegs below them.
+    const PHYSICS_PRESETS = Object.freeze({
+        classic: Object.freeze({}),
+        bouncy: Object.freeze({ bounceFactor: 0.6, horizontalBump: 140, wallDamping: 0.9 }),
+        sticky: Object.freeze({ bounceFactor: 0.02, horizontalBump: 40, minBounceSpeed: 15, wallDamping: 0.2 }),
+        lowGravity: Object.freeze({ gravity: 180 })
+    });
+
+    // What happens to a ball that reaches a full bin. When balls are stacked, a ball resting above the rim of a
+    // full bin is lost under 'lose' and otherwise hops off the pile toward a neighboring bin (see spillBall()).
+    // Otherwise:
+    // - 'bounce': it bounces off the bin and may land in another bin or fall off the board.
+    // - 'spill': it is moved straight into the nearest bin that still has room, or lost if there is none.
+    // - 'grow': bins have no limit; the capacity only sets the scale of the fill bars.
+    // - 'lose': it is taken off the board and counted as lost.
+    const OVERFLOW_POLICIES = Object.freeze(['bounce', 'spill', 'grow', 'lose']);
+
+    // What a ball adds up on its way down: one draw per row, landing in the bin nearest to its sum.
+    // - 'bernoulli': 0 or 1, with 1 (a bounce to the right) at probability bias. This is the physical board.
+    // - 'uniform': a uniform draw between 0 and 1.
+    // - 'exponential': an exponential draw with mean EXPONENTIAL_DRAW_MEAN; a sum beyond the last bin lands in it.
+    // - 'dice': a roll of a six-sided die, scaled from 1 to 6 to 0 to 1.
+    // Only 'bernoulli' balls bounce over the pegs; sums of the other draws are sampled with sampleBalls(), from the
+    // exact distribution of the sums that stats.js computes with DRAW_PARAMETERS.
+    const DRAW_DISTRIBUTIONS = Object.freeze(['bernoulli', 'uniform', 'exponential', 'dice']);
+    const EXPONENTIAL_DRAW_MEAN = 0.5; // Mean of an exponential draw, so that it centers the sums like the others.
+    const DIE_FACES = 6; // Faces of the die of the 'dice' distribution.
+    // Parameters of the draws, for the distributions of their sums in stats.js (see binProbabilities()).
+    const DRAW_PARAMETERS = Object.freeze({ exponentialMean: EXPONENTIAL_DRAW_MEAN, dieFaces: DIE_FACES });
+
+    const DEFAULT_OPTIONS = {
+        rows: 10, // Number of peg rows.
+        binCapacity: 25, // Number of balls a bin accepts before it bounces further balls away.
+        bias: 0.5, // Probability that a peg sends a ball to the right.
+        seed: 0, // Seed from which every ball derives its own random stream.
+        stackBalls: false, // If true, landed balls pile up physically in the bins, whose height then follows binCapacity.
+        ballCollisions: false, // If true, moving balls collide with each other instead of passing through.
+        overflowPolicy: 'bounce', // What happens to a ball reaching a full bin; see OVERFLOW_POLICIES.
+        physics: null, // Changes to the physics constants, e.g. { gravity: 270 }; see PHYSICS.
+        layout: null, // Custom peg layout { pegs: [{ x, y }] } in lattice units (see layouts.js), or null for the triangle of `rows` rows.
+        distribution: 'bernoulli', // What a ball adds up per row; see DRAW_DISTRIBUTIONS.
+        sources: null // Drop positions [{ offset, weight }]: whole peg spacings from the center and relative weights; null drops above the top peg.
+    };
+
+    // --- Random Number Generation ---
+
+    const DIRECT_BINOMIAL_TRIALS = 16; // Binomial draws with at most this many trials draw every trial; see sampleBinomial().
+
+    /**
+     * Scrambles a 32-bit integer so that nearby seeds (1, 2, 3, ...) give unrelated random streams.
+     * @param {number} value - Any integer.
+     * @returns {number} An unsigned 32-bit integer.
+     */
+    function mixSeed(value) {
+        value = Math.imul(value ^ (value >>> 16), 0x85ebca6b);
+        value = Math.imul(value ^ (value >>> 13), 0xc2b2ae35);
+        return (value ^ (value >>> 16)) >>> 0;
+    }
+
+    /**
+     * Picks the time between ball drops for an animated run, so that runs of many balls do not take ages and
+     * balls of small runs do not all appear at once.
+     * @param {number} count - Number of balls of the run.
+     * @returns {number} Time between two drops, in simulated seconds.
+     */
+    function getDropInterval(count) {
+        return Math.max(MIN_DROP_INTERVAL, Math.min(MAX_DROP_INTERVAL, DROP_INTERVAL_BALLS / count));
+    }
+
+    /**
+     * Creates the clock of an animation loop, which turns the real time between animation frames into fixed
+     * physics steps of FIXED_TIME_STEP. The outcome of a run then does not depend on the display's refresh
+     * rate: leftover time is carried over to the next frame, and at most MAX_FRAME_TIME is simulated per frame.
+     * @returns {object} The clock, with restart(), resume() and tick().
+     */
+    function createFrameClock() {
+        let lastTimestamp = null; // Timestamp of the previous frame, in milliseconds.
+        let pending = 0; // Real time (s) not yet simulated.
+        return {
+            /**
+             * Forgets the previous frame and sets the time waiting to be simulated.
+             * @param {number} [pendingTime=0] - Real time in seconds, e.g. FIXED_TIME_STEP to take the first step
+             *        on the first frame of a run.
+             */
+            restart(pendingTime = 0) {
+                lastTimestamp = null;
+                pending = pendingTime;
+            },
+            /**
+             * Forgets the previous frame, so the time the loop was stopped, e.g. paused, is not simulated.
+             */
+            resume() {
+                lastTimestamp = null;
+            },
+            /**
+             * Takes the physics steps that are due at a frame.
+             * @param {number} timestamp - Time of the frame in milliseconds, provided by requestAnimationFrame.
+             * @param {number} speed - Simulated seconds per real second.
+             * @param {function(): boolean} step - Takes one step; returns false instead if nothing is left to simulate.
+             * @returns {number} The fraction of a step left over, for drawing the balls between their last two
+             *          physics positions.
+             */
+            tick(timestamp, speed, step) {
+                if (lastTimestamp !== null) {
+                    pending += Math.min((timestamp - lastTimestamp) / 1000, MAX_FRAME_TIME) * speed;
+                }
+                lastTimestamp = timestamp;
+                while (pending >= FIXED_TIME_STEP && step()) {
+                    pending -= FIXED_TIME_STEP;
+                }
+                return pending / FIXED_TIME_STEP;
+            }
+        };
+    }
+
+    /**
+     * Creates a seeded xorshift32 pseudo-random number generator.
+     * The same seed always yields the same sequence of numbers.
+     * @param {number} seed - Integer seed.
+     * @returns {function(): number} A drop-in replacement for Math.random(), returning values in [0, 1).
+     */
+    function createRandom(seed) {
+        let state = mixSeed(seed) || 0x9e3779b9; // xorshift must never start from 0.
+        return function random() {
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            state >>>= 0;
+            return state / 4294967296;
+        };
+    }
+
+    /**
+     * Draws a value from the standard normal distribution (Box-Muller transform).
+     * @param {function(): number} random - Random number generator.
+     * @returns {number} The value.
+     */
+    function sampleNormal(random) {
+        return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+
+    /**
+     * Draws a value from a gamma distribution with scale 1 (Marsaglia and Tsang's method).
+     * @param {number} shape - Shape parameter, at least 1.
+     * @param {function(): number} random - Random number generator.
+     * @returns {number} The value.
+     */
+    function sampleGamma(shape, random) {
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x, v;
+            do {
+                x = sampleNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            if (Math.log(random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+        }
+    }
+
+    /**
+     * Draws the number of successes in n Bernoulli trials with probability p, in a time that grows with log(n)
+     * instead of n. While many trials are left, the a-th smallest of n uniform draws, a beta-distributed value,
+     * decides in one step how many of the a smallest draws fall below p (Knuth, TAOCP 3.4.1); the last few
+     * trials are drawn one by one.
+     * @param {number} n - Number of trials.
+     * @param {number} p - Probability of success in a single trial.
+     * @param {function(): number} random - Random number generator.
+     * @returns {number} The number of successes.
+     */
+    function sampleBinomial(n, p, random) {
+        let successes = 0;
+        while (n > DIRECT_BINOMIAL_TRIALS) {
+            const a = 1 + Math.floor(n / 2);
+            const b = n + 1 - a;
+            const gammaA = sampleGamma(a, random);
+            const x = gammaA / (gammaA + sampleGamma(b, random)); // The a-th smallest draw, Beta(a, b).
+            if (x >= p) {
+                n = a - 1; // Only draws below the a-th smallest can succeed; they are uniform below x.
+                p /= x;
+            } else {
+                successes += a; // The a smallest draws succeed; the rest are uniform above x.
+                n = b - 1;
+                p = (p - x) / (1 - x);
+            }
+        }
+        for (let i = 0; i < n; i++) {
+            if (random() < p) successes++;
+        }
+        return successes;
+    }
+
+    /**
+     * Distributes a number of balls among outcomes with given probabilities, as a draw from the multinomial
+     * distribution; each outcome's count is a binomial draw from the balls the earlier outcomes left.
+     * @param {number} count - Number of balls.
+     * @param {number[]} probabilities - Probability of each outcome; they add up to 1.
+     * @param {function(): number} random - Random number generator.
+     * @returns {number[]} The number of balls of each outcome.
+     */
+    function sampleMultinomial(count, probabilities, random) {
+        let remaining = count;
+        let remainingProbability = 1;
+        return probabilities.map((probability, i) => {
+            let drawn = remaining; // The last outcome takes every ball left, whatever the rounding of the sums.
+            if (i < probabilities.length - 1) {
+                drawn = remaining > 0 && probability > 0
+                    ? sampleBinomial(remaining, Math.min(1, probability / remainingProbability), random) : 0;
+            }
+            remaining -= drawn;
+            remainingProbability -= probability;
+            return drawn;
+        });
+    }
+
+    // --- Spatial Grid ---
+
+    /**
+     * Creates a uniform grid that buckets items by position, so collision checks only look at the items in
+     * nearby cells instead of at every item on the board.
+     * @param {number} cellSize - Width and height of a cell. Items closer than this to a point are always
+     *                           found by query() for that point.
+     * @returns {object} The grid.
+     */
+    function createSpatialGrid(cellSize) {
+        const cells = new Map(); // Arrays of items by cell key.
+        const cellKey = (cx, cy) => cx * 65536 + cy; // Unique while cell coordinates stay below 32768 in size.
+
+        return {
+            /**
+             * Removes all items.
+             */
+            clear() {
+                cells.clear();
+            },
+            /**
+             * Adds an item at a position.
+             * @param {*} item - The item.
+             * @param {number} x - Horizontal position.
+             * @param {number} y - Vertical position.
+             */
+            insert(item, x, y) {
+                const key = cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize));
+                const cell = cells.get(key);
+                if (cell) {
+                    cell.push(item);
+                } else {
+                    cells.set(key, [item]);
+                }
+            },
+            /**
+             * Lists the items in the cell of a position and in the eight cells around it.
+             * @param {number} x - Horizontal position.
+             * @param {number} y - Vertical position.
+             * @returns {Array<*>} The items, in no particular order.
+             */
+            query(x, y) {
+                const cx = Math.floor(x / cellSize);
+                const cy = Math.floor(y / cellSize);
+                const found = [];
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const cell = cells.get(cellKey(cx + dx, cy + dy));
+                        if (cell) found.push(...cell);
+                    }
+                }
+                return found;
+            }
+        };
+    }
+
+    // --- Engine ---
+
+    /**
+     * Creates a Galton board simulation engine.
+     *
+     * The engine emits these events (see on/off):
+     * - 'balldropped' with { ball } when a new ball enters the board.
+     * - 'balllanded' with { ball, binIndex } when a ball settles in a bin.
+     * - 'balllost' with { ball, reason } when a ball leaves the board without landing in a bin. The reason is
+     *   'offBoard' if it fell off the board and 'overflow' if it reached a full bin under the 'lose' or 'spill'
+     *   overflow policy.
+     * - 'ballssampled' with { count } after sampleBalls() filled the bins statistically.
+     *
+     * Time only advances through step(dt), so a run is reproducible for a given seed no matter how often
+     * and how regularly step() is called, as long as the same sequence of time steps is used.
+     *
+     * @param {object} [options] - Initial configuration; see DEFAULT_OPTIONS for the keys.
+     * @returns {object} The engine.
+     */
+    function createGaltonEngine(options) {
+        const config = Object.assign({}, DEFAULT_OPTIONS, options);
+        const listeners = {}; // Event listeners by event type.
+
+        // Board geometry in board units, recalculated when the board is rebuilt.
+        const geometry = {
+            width: 0, // Width of the board.
+            height: 0, // Height of the board.
+            pegSpacingX: BASE_PEG_SPACING_X,
+            pegSpacingY: BASE_PEG_SPACING_Y,
+            startYOffset: BASE_START_Y_OFFSET,
+            pegRadius: BASE_PEG_RADIUS,
+            ballRadius: BASE_BALL_RADIUS,
+            drawnBinHeight: BASE_DRAWN_BIN_HEIGHT,
+            spaceBelowPegs: BASE_SPACE_BELOW_PEGS,
+            bottomPadding: BASE_BOTTOM_PADDING
+        };
+
+        // Simulation state
+        let pegs = []; // Array to store peg objects.
+        let pegGrid = null; // Spatial grid of peg indices, rebuilt with the pegs.
+        let ballGrid = null; // Spatial grid of moving balls, refilled every step when balls collide.
+        let stackGrid = null; // Spatial grid of the balls resting in the bins when balls are stacked.
+        let balls = []; // Array to store ball objects.
+        let bins = []; // Array to store bin objects.
+        let activeBallCount = 0; // Counter for balls currently in motion and not yet settled.
+        let time = 0; // Simulated time since the last reset, in seconds.
+        let pendingDrops = 0; // Number of scheduled balls that have not been dropped yet.
+        let physics = PHYSICS; // Physics constants in effect: PHYSICS with config.physics applied.
+        let dropInterval = 0; // Simulated time between two scheduled drops, in seconds.
+        let nextDropTime = 0; // Simulated time at which the next scheduled ball is dropped.
+
+        /**
+         * Calls every listener registered for an event type.
+         * @param {string} type - Event type.
+         * @param {object} detail - Event data passed to the listeners.
+         */
+        function emit(type, detail) {
+            (listeners[type] || []).slice().forEach(listener => listener(detail));
+        }
+
+        /**
+         * Measures the peg layout in lattice units: x in peg spacings from the drop point, y in row spacings
+         * below the first row. Without a custom layout, this is the triangle of config.rows rows.
+         * @returns {{minX: number, maxX: number, maxY: number, binCount: number, halfWidth: number}} The extent of
+         *          the pegs, the number of bins (one per gap below the widest row, plus one at either side) and
+         *          the distance from the drop point to the outer edge of the farthest bin, in peg spacings.
+         */
+        function measureLayout() {
+            let minX = -(config.rows - 1) / 2;
+            let maxX = (config.rows - 1) / 2;
+            let maxY = config.rows - 1;
+            if (config.layout) {
+                minX = Math.min(...config.layout.pegs.map(peg => peg.x));
+                maxX = Math.max(...config.layout.pegs.map(peg => peg.x));
+                maxY = Math.max(...config.layout.pegs.map(peg => peg.y));
+            }
+            return {
+                minX: minX,
+                maxX: maxX,
+                maxY: maxY,
+                binCount: Math.round(maxX - minX) + 2,
+                halfWidth: Math.max(-minX, maxX) + 1
+            };
+        }
+
+        /**
+         * Converts a position in lattice units to board coordinates.
+         * @param {number} x - Peg spacings from the drop point.
+         * @param {number} y - Row spacings below the first row.
+         * @returns {{x: number, y: number}} The board position.
+         */
+        function latticeToBoard(x, y) {
+            return {
+                x: geometry.width / 2 + x * geometry.pegSpacingX,
+                y: geometry.startYOffset + y * geometry.pegSpacingY
+            };
+        }
+
+        /**
+         * Converts board coordinates to a position in lattice units.
+         * @param {number} x - Horizontal board coordinate.
+         * @param {number} y - Vertical board coordinate.
+         * @returns {{x: number, y: number}} The position in peg spacings from the drop point and row spacings
+         *          below the first row.
+         */
+        function boardToLattice(x, y) {
+            return {
+                x: (x - geometry.width / 2) / geometry.pegSpacingX,
+                y: (y - geometry.startYOffset) / geometry.pegSpacingY
+            };
+        }
+
+        /**
+         * Recalculates the board dimensions from the peg layout and the physics constants.
+         */
+        function computeGeometry() {
+            const extent = measureLayout();
+            // Board width in peg spacings: the bins plus some margin (rows + 3.5 spacings for the triangle).
+            const widthInSpacings = 2 * extent.halfWidth - 1 + BOARD_WIDTH_IN_SPACINGS;
+
+            geometry.pegRadius = physics.pegRadius;
+            geometry.ballRadius = physics.ballRadius;
+            if (config.stackBalls) {
+                // Make the bins as tall as a close-packed pile of binCapacity balls: layers alternately hold
+                // as many balls as fit across the bin and one fewer, and each layer adds √3 ball radii.
+                const ballsPerLayer = Math.max(1, Math.floor(BASE_PEG_SPACING_X / (2 * physics.ballRadius)));
+                const pairs = Math.floor(config.binCapacity / (2 * ballsPerLayer - 1));
+                const remainder = config.binCapacity - pairs * (2 * ballsPerLayer - 1);
+                const layers = 2 * pairs + (remainder === 0 ? 0 : remainder <= ballsPerLayer ? 1 : 2);
+                geometry.drawnBinHeight = (2 + (Math.max(layers, 1) - 1) * Math.sqrt(3)) * physics.ballRadius;
+            } else {
+                geometry.drawnBinHeight = BASE_DRAWN_BIN_HEIGHT;
+            }
+
+            geometry.width = widthInSpacings * geometry.pegSpacingX;
+            geometry.height = geometry.startYOffset +
+                              extent.maxY * geometry.pegSpacingY +
+                              geometry.pegRadius + // Account for the radius of the last row of pegs.
+                              geometry.spaceBelowPegs +
+                              geometry.drawnBinHeight +
+                              geometry.bottomPadding;
+        }
+
+        /**
+         * Initializes or re-initializes the peg positions based on the board dimensions and number of rows.
+         * Pegs are arranged in a triangular pattern, or as given by config.layout.
+         */
+        function initPegs() {
+            pegs = []; // Clear existing pegs.
+            const firstPegRowCenterY = geometry.startYOffset; // Y-coordinate for the center of the first peg row.
+
+            if (config.layout) {
+                // Number the pegs row by row from the left, like the triangle's, whatever order the layout lists them in.
+                const sorted = config.layout.pegs.slice().sort((a, b) => Math.round(a.y) - Math.round(b.y) || a.x - b.x);
+                sorted.forEach((peg, i) => {
+                    const row = Math.round(peg.y);
+                    const previous = pegs[i - 1];
+                    const position = latticeToBoard(peg.x, peg.y);
+                    pegs.push({
+                        x: position.x,
+                        y: position.y,
+                        radius: geometry.pegRadius,
+                        row: row,
+                        col: previous && previous.row === row ? previous.col + 1 : 0,
+                        hits: 0
+                    });
+                });
+            } else {
+                for (let row = 0; row < config.rows; row++) {
+                    const numPegsInRow = row + 1; // Number of pegs in the current row.
+                    const rowWidth = (numPegsInRow - 1) * geometry.pegSpacingX; // Total width occupied by pegs in this row.
+                    const startX = (geometry.width - rowWidth) / 2; // Starting X-coordinate to center the row.
+
+                    for (let col = 0; col < numPegsInRow; col++) {
+                        pegs.push({
+                            x: startX + col * geometry.pegSpacingX,
+                            y: firstPegRowCenterY + row * geometry.pegSpacingY,
+                            radius: geometry.pegRadius,
+                            row: row, // Row of the peg, counted from the top (0-based).
+                            col: col, // Position of the peg within its row, counted from the left (0-based).
+                            hits: 0 // Number of balls that hit the peg since the last reset.
+                        });
+                    }
+                }
+            }
+
+            // A cell spans at least one peg spacing and the reach of a peg, so every peg a ball touches is in the
+            // ball's cell or next to it.
+            pegGrid = createSpatialGrid(Math.max(geometry.pegSpacingX, geometry.pegSpacingY,
+                                                 geometry.pegRadius + geometry.ballRadius));
+            pegs.forEach((peg, pegIndex) => pegGrid.insert(pegIndex, peg.x, peg.y));
+        }
+
+        /**
+         * Initializes or re-initializes the bins at the bottom of the Galton board.
+         * The bins span the widest row of pegs with one extra bin at either side; for the triangle,
+         * that is rows + 1 bins.
+         */
+        function initBins() {
+            bins = []; // Clear existing bins.
+            const extent = measureLayout();
+            const numBins = extent.binCount;
+            const binWidth = geometry.pegSpacingX; // Each bin's width matches the horizontal peg spacing.
+
+            // Calculate the Y-coordinate for the top of the bins.
+            const lastPegRowCenterY = geometry.startYOffset + extent.maxY * geometry.pegSpacingY;
+            const binsTopY = lastPegRowCenterY + geometry.pegRadius + geometry.spaceBelowPegs;
+
+            const totalBinsWidth = numBins * binWidth; // Total width occupied by all bins.
+            // Starting X-coordinate to center the bins below the pegs.
+            const firstBinX = (geometry.width - totalBinsWidth) / 2 + (extent.minX + extent.maxX) / 2 * binWidth;
+
+            for (let i = 0; i < numBins; i++) {
+                bins.push({
+                    x: firstBinX + i * binWidth,
+                    y: binsTopY,
+                    width: binWidth,
+                    height: geometry.drawnBinHeight,
+                    count: 0, // Number of balls currently in this bin.
+                    maxCapacity: config.binCapacity, // Number of balls the bin accepts.
+                    stack: [] // Balls resting in the bin when config.stackBalls is set, in the order they settled.
+                });
+            }
+        }
+
+        /**
+         * Creates a new ball object with initial properties.
+         * Balls are typically created above the first peg.
+         * Each ball gets its own random stream derived from the seed and its index, so its path
+         * does not depend on how its random draws interleave with other balls.
+         * @param {number} index - Position of the ball in the drop order (0 for the first ball).
+         * @returns {object} A new ball object.
+         */
+        function createBall(index) {
+            const random = createRandom(config.seed ^ mixSeed(index + 1));
+            const dropOffset = pickDropOffset(random);
+            const dropPosition = getDropPosition(dropOffset);
+            return {
+                index: index, // Position of the ball in the drop order.
+                dropOffset: dropOffset, // Peg spacings from the center at which the ball was dropped.
+                dropTime: time, // Simulated time at which the ball was dropped, in seconds.
+                binIndex: null, // Index of the bin the ball landed in, null while it has not landed in one.
+                lost: false, // True if the ball left the board without landing in a bin.
+                overflowed: false, // True if the ball bounced off a full bin at least once.
+                path: [], // Pegs the ball hit, in order, with the direction each one sent it: { pegIndex, row, col, direction }.
+                x: dropPosition.x,
+                y: dropPosition.y,
+                prevX: dropPosition.x, // Position before the last step, used to interpolate between steps when drawing.
+                prevY: dropPosition.y,
+                radius: geometry.ballRadius,
+                vx: (random() - 0.5) * physics.initialSpeedSpread, // Small initial random horizontal velocity.
+                vy: 0, // Initial vertical velocity.
+                landed: false, // True if the ball has settled in a bin or fallen off.
+                isSettling: false, // True if the ball is in the process of settling into a bin.
+                lastPegIndex: -1, // Index of the last peg the ball collided with, -1 if none yet.
+                touchingPeg: -1, // Index of the peg the ball touched during the last step, -1 if none.
+                bounceDirection: 0, // Direction chosen at the last peg: 1 for right, -1 for left.
+                restTime: 0, // Time the ball has spent slowly touching a pile in a stacking bin, in seconds.
+                spillDirection: 0, // Direction in which the ball spills over full stacking bins: 1 for right, -1 for left, 0 before it first spills.
+                random: random // Seeded random number generator used for all of this ball's random decisions.
+            };
+        }
+
+        // --- Physics Helper Functions ---
+
+        /**
+         * Applies gravity to a ball and updates its position based on its velocity.
+         * @param {object} ball - The ball object to update.
+         * @param {number} dt - Time step, in seconds.
+         */
+        function applyBallPhysics(ball, dt) {
+            ball.vy += physics.gravity * dt; // Apply gravity to vertical velocity.
+            ball.x += ball.vx * dt; // Update horizontal position.
+            ball.y += ball.vy * dt; // Update vertical position.
+        }
+
+        /**
+         * Handles collisions between a ball and the board walls.
+         * Reverses and dampens velocity upon collision.
+         * @param {object} ball - The ball object to check for wall collisions.
+         */
+        function handleBallWallCollisions(ball) {
+            const ballRadius = geometry.ballRadius;
+            // Horizontal wall collisions (left and right)
+            if (ball.x - ballRadius < 0 || ball.x + ballRadius > geometry.width) {
+                ball.vx *= -physics.wallDamping; // Reverse and dampen horizontal velocity.
+                // Reposition ball to prevent sticking to the wall.
+                if (ball.x - ballRadius < 0) ball.x = ballRadius;
+                if (ball.x + ballRadius > geometry.width) ball.x = geometry.width - ballRadius;
+            }
+
+            // Bottom wall collision (ball falls off the board)
+            // Also checks if the ball is not already settling or landed to avoid redundant processing.
+            if (ball.y - ballRadius > geometry.height && !ball.isSettling && !ball.landed) {
+                loseBall(ball, 'offBoard');
+            }
+            // Top wall collision (less common, but included for completeness)
+            if (ball.y - ballRadius < 0) {
+                ball.vy *= -physics.bounceFactor; // Reverse and dampen vertical velocity using the bounce factor.
+                ball.y = ballRadius; // Reposition ball to prevent sticking.
+            }
+        }
+
+        /**
+         * Handles collisions between a ball and the pegs.
+         * Implements a simplified bounce logic upon collision.
+         * When a ball first meets a peg of a row, it decides once, with probability config.bias, whether the
+         * row sends it right or left. The decision is kept for as long as the ball stays in contact with that
+         * peg, and for any other peg of the row it meets, so every row is a single Bernoulli trial.
+         * Only the pegs near the ball are checked, in the order of their index.
+         * @param {object} ball - The ball object to check for peg collisions.
+         */
+        function handleBallPegCollisions(ball) {
+            const minBounceSpeed = physics.minBounceSpeed;
+            const contactDistance = geometry.ballRadius + geometry.pegRadius;
+            ball.touchingPeg = -1;
+            pegGrid.query(ball.x, ball.y).sort((a, b) => a - b).forEach(pegIndex => {
+                const peg = pegs[pegIndex];
+                const dx = ball.x - peg.x; // Difference in x-coordinates.
+                const dy = ball.y - peg.y; // Difference in y-coordinates.
+                const distance = Math.sqrt(dx * dx + dy * dy); // Distance between ball and peg centers.
+
+                // Check if the ball is colliding with the peg.
+                if (distance < contactDistance) {
+                    ball.touchingPeg = pegIndex;
+                    // Approximate collision response:
+                    // Nudge the ball slightly away from the peg to prevent sticking.
+                    ball.y = peg.y - contactDistance * Math.sign(dy) * 0.51;
+
+                    // Reverse and dampen vertical velocity.
+                    ball.vy *= -physics.bounceFactor;
+
+                    // Decide the bounce direction once per row, and record every peg encounter in the ball's path.
+                    if (ball.lastPegIndex !== pegIndex) {
+                        ball.lastPegIndex = pegIndex;
+                        const decision = ball.path.find(hit => hit.row === peg.row);
+                        if (decision) {
+                            ball.bounceDirection = decision.direction === 'R' ? 1 : -1;
+                        } else {
+                            ball.bounceDirection = ball.random() < config.bias ? 1 : -1;
+                        }
+                        if (!ball.path.some(hit => hit.pegIndex === pegIndex)) peg.hits++; // Count each ball once per peg.
+                        ball.path.push({
+                            pegIndex: pegIndex,
+                            row: peg.row,
+                            col: peg.col,
+                            direction: ball.bounceDirection > 0 ? 'R' : 'L'
+                        });
+                    }
+
+                    // Apply a horizontal "bump" with a random component in the chosen direction.
+                    const bump = physics.horizontalBump;
+                    ball.vx = ball.bounceDirection * bump * ball.random();
+
+                    // Ensure a minimum horizontal velocity after collision to prevent stalling.
+                    if (Math.abs(ball.vx) < minBounceSpeed) {
+                         ball.vx = ball.bounceDirection * minBounceSpeed;
+                    }
+                }
+            });
+        }
+
+        /**
+         * Handles interactions between a ball and the bins.
+         * If a bin has capacity, the ball settles into it. If full, config.overflowPolicy decides what
+         * happens to the ball; see OVERFLOW_POLICIES.
+         * @param {object} ball - The ball object to check for bin interactions.
+         */
+        function handleBallBinInteractions(ball) {
+            // Skip if no bins, or ball is already settling or landed.
+            if (bins.length === 0 || ball.isSettling || ball.landed) {
+                return;
+            }
+
+            const ballRadius = geometry.ballRadius;
+            const bottomOfBall = ball.y + ballRadius;
+            const topOfBins = bins[0].y; // Assuming all bins are at the same y-level.
+
+            // Check if the ball is vertically within the bin area.
+            if (bottomOfBall >= topOfBins && ball.y - ballRadius < topOfBins + geometry.drawnBinHeight) {
+                for (let i = 0; i < bins.length; i++) {
+                    const bin = bins[i];
+                    // Check if the ball horizontally overlaps with the current bin.
+                    const ballOverlapsBinHorizontally = ball.x + ballRadius > bin.x && ball.x - ballRadius < bin.x + bin.width;
+
+                    if (ballOverlapsBinHorizontally) {
+                        // Ensure the bottom of the ball is at or below the bin's top edge.
+                        if (ball.y + ballRadius >= bin.y) {
+                            if (bin.count < bin.maxCapacity || config.overflowPolicy === 'grow') { // Bin has space.
+                                placeBallInBin(ball, i);
+                            } else if (config.overflowPolicy === 'spill') {
+                                ball.overflowed = true;
+                                const spillIndex = findBinWithRoom(i, ball.random);
+                                if (spillIndex === -1) {
+                                    loseBall(ball, 'overflow'); // Every bin is full.
+                                } else {
+                                    placeBallInBin(ball, spillIndex);
+                                }
+                            } else if (config.overflowPolicy === 'lose') {
+                                ball.overflowed = true;
+                                loseBall(ball, 'overflow');
+                            } else { // Bin is full and the ball bounces off.
+                                ball.overflowed = true;
+                                // Make the ball bounce off the full bin.
+                                ball.vy *= -physics.bounceFactor * 0.5; // Reduced bounce compared to pegs.
+                                ball.y = bin.y - ballRadius - 0.1; // Position slightly above the bin.
+                                // Give a small horizontal nudge if velocity is too low.
+                                if (Math.abs(ball.vx) < physics.fullBinMinSpeed) {
+                                    ball.vx = (ball.random() < 0.5 ? -1 : 1) * physics.fullBinNudgeSpeed;
+                                }
+                            }
+                            return; // Ball has interacted with a bin, no need to check others.
+                        }
+                    }
+                }
+            }
+        }
+
+        /**
+         * Moves a ball to the bottom of a bin and lands it there.
+         * @param {object} ball - The ball that landed.
+         * @param {number} binIndex - Index of the bin.
+         */
+        function placeBallInBin(ball, binIndex) {
+            const bin = bins[binIndex];
+            ball.x = bin.x + bin.width / 2; // Center ball in the bin.
+            // Position ball at the visual bottom of the collected balls in the bin.
+            ball.y = bin.y + bin.height - geometry.ballRadius - 1;
+            landBall(ball, binIndex);
+        }
+
+        /**
+         * Finds the bin nearest to a full bin that still has room. Of two equally near bins with room,
+         * the one holding fewer balls is chosen, and a tie is broken at random.
+         * @param {number} binIndex - Index of the full bin.
+         * @param {function(): number} random - Random number generator used to break ties.
+         * @returns {number} Index of the nearest bin with room, or -1 if every bin is full.
+         */
+        function findBinWithRoom(binIndex, random) {
+            const hasRoom = i => i >= 0 && i < bins.length && bins[i].count < bins[i].maxCapacity;
+            for (let distance = 1; distance < bins.length; distance++) {
+                const left = binIndex - distance;
+                const right = binIndex + distance;
+                if (hasRoom(left) && hasRoom(right)) {
+                    if (bins[left].count !== bins[right].count) {
+                        return bins[left].count < bins[right].count ? left : right;
+                    }
+                    return random() < 0.5 ? left : right;
+                }
+                if (hasRoom(left)) return left;
+                if (hasRoom(right)) return right;
+            }
+            return -1;
+        }
+
+        /**
+         * Takes a ball off the board without landing it in a bin and notifies the listeners.
+         * @param {object} ball - The ball that is lost.
+         * @param {string} reason - 'offBoard' if it fell off the board, 'overflow' if it reached a full bin.
+         */
+        function loseBall(ball, reason) {
+            ball.landed = true; // Mark ball as lost/landed off the board.
+            ball.lost = true;
+            activeBallCount--; // Decrement count of active balls.
+            emit('balllost', { ball: ball, reason: reason });
+        }
+
+        /**
+         * Lands a ball in a bin: counts it, stops it and notifies the listeners.
+         * The ball is marked as settling and becomes landed with the next step.
+         * @param {object} ball - The ball that landed.
+         * @param {number} binIndex - Index of the bin it landed in.
+         */
+        function landBall(ball, binIndex) {
+            bins[binIndex].count++;
+            activeBallCount--;
+            ball.isSettling = true; // Mark ball as settling.
+            ball.vx = 0; // Stop horizontal movement.
+            ball.vy = 0; // Stop vertical movement.
+            ball.binIndex = binIndex;
+            emit('balllanded', { ball: ball, binIndex: binIndex });
+        }
+
+        /**
+         * Makes a ball that came to rest above the rim of a full bin hop off the pile toward the
+         * neighboring bin with the lower pile, so full bins visibly overflow into their neighbors.
+         * A ball that spills again keeps its direction, so it crosses a row of full bins instead of
+         * hopping back and forth between two of them.
+         * @param {object} ball - The ball resting on top of the pile.
+         * @param {number} binIndex - Index of the full bin.
+         */
+        function spillBall(ball, binIndex) {
+            const gravity = physics.gravity;
+            const left = bins[binIndex - 1];
+            const right = bins[binIndex + 1];
+            const leftHeight = left ? left.stack.length : 0; // Beyond the outer bins the ball falls off the board.
+            const rightHeight = right ? right.stack.length : 0;
+            if (ball.spillDirection === 0) {
+                ball.spillDirection = leftHeight < rightHeight ? -1 : 1;
+                if (leftHeight === rightHeight) ball.spillDirection = ball.random() < 0.5 ? -1 : 1;
+            }
+
+            // Hop up by one ball diameter, and far enough sideways to clear the rim of the full bin.
+            const hopHeight = 2 * geometry.ballRadius;
+            const flightTime = 2 * Math.sqrt(2 * hopHeight / gravity);
+            ball.overflowed = true;
+            ball.vy = -Math.sqrt(2 * gravity * hopHeight);
+            ball.vx = ball.spillDirection * bins[binIndex].width / flightTime;
+        }
+
+        /**
+         * Lists what a ball at (x, y) in or above a stacking bin must keep clear of besides the bin's walls and
+         * floor: the resting balls near it and the top ends of the bin's walls.
+         * @param {number} x - Horizontal position of the ball's center.
+         * @param {number} y - Vertical position of the ball's center.
+         * @param {object} bin - The bin the ball is in or above.
+         * @returns {Array<number[]>} [x, y, clearance] of each obstacle, with the least distance between its
+         *          center and the ball's.
+         */
+        function getObstacles(x, y, bin) {
+            const ballRadius = geometry.ballRadius;
+            const obstacles = stackGrid.query(x, y).map(other => [other.x, other.y, 2 * ballRadius]);
+            if (y < bin.y + ballRadius) {
+                obstacles.push([bin.x, bin.y, ballRadius], [bin.x + bin.width, bin.y, ballRadius]);
+            }
+            return obstacles;
+        }
+
+        /**
+         * Tells whether a ball at (x, y) stays over a stacking bin and overlaps nothing there.
+         * @param {number} x - Horizontal position of the ball's center.
+         * @param {number} y - Vertical position of the ball's center.
+         * @param {object} bin - The bin the ball is in or above.
+         * @returns {boolean} True if the spot is free.
+         */
+        function isClear(x, y, bin) {
+            const ballRadius = geometry.ballRadius;
+            if (x < bin.x || x >= bin.x + bin.width) return false;
+            if (y > bin.y && (x < bin.x + ballRadius - CONTACT_TOLERANCE ||
+                    x > bin.x + bin.width - ballRadius + CONTACT_TOLERANCE ||
+                    y > bin.y + bin.height - ballRadius + CONTACT_TOLERANCE)) {
+                return false; // Through a wall or the floor.
+            }
+            return getObstacles(x, y, bin).every(([obstacleX, obstacleY, clearance]) =>
+                Math.hypot(x - obstacleX, y - obstacleY) >= clearance - CONTACT_TOLERANCE);
+        }
+
+        /**
+         * Moves a ball that overlaps something in or above a stacking bin to the closest free spot. Pushing the
+         * ball out of each contact in turn can move it back and forth between two contacts for ever, or leave it
+         * sharing a spot with a pile ball. The candidates are the spots touching two of the things around the
+         * ball, which include the pockets between pile balls, and the spot straight above the ball where it
+         * clears everything, which always exists.
+         * @param {object} ball - The ball to move.
+         * @param {object} bin - The bin the ball is in or above.
+         * @returns {boolean} True if the ball had to be moved.
+         */
+        function moveClear(ball, bin) {
+            if (isClear(ball.x, ball.y, bin)) return false;
+            const ballRadius = geometry.ballRadius;
+            const left = bin.x + ballRadius; // Centers of balls against the walls and on the floor.
+            const right = bin.x + bin.width - ballRadius;
+            const floorY = bin.y + bin.height - ballRadius;
+
+            // Lift the ball from inside the walls and above the floor past each obstacle it overlaps.
+            let liftedX = ball.x;
+            let liftedY = ball.y;
+            if (liftedY > bin.y) {
+                liftedX = Math.min(Math.max(liftedX, left), right);
+                liftedY = Math.min(liftedY, floorY);
+            }
+            let lifted = true;
+            while (lifted) {
+                lifted = false;
+                getObstacles(liftedX, liftedY, bin).forEach(([x, y, clearance]) => {
+                    const dx = liftedX - x;
+                    if (Math.hypot(dx, liftedY - y) >= clearance - CONTACT_TOLERANCE) return;
+                    liftedY = y - Math.sqrt(clearance * clearance - dx * dx); // On top of the obstacle.
+                    lifted = true;
+                });
+            }
+
+            const candidates = [[left, floorY], [right, floorY]];
+            const obstacles = getObstacles(ball.x, ball.y, bin);
+            obstacles.forEach(([x, y, clearance], i) => {
+                [left, right].forEach(wallX => {
+                    if (Math.abs(wallX - x) >= clearance) return;
+                    const height = Math.sqrt(clearance * clearance - (wallX - x) * (wallX - x));
+                    candidates.push([wallX, y - height], [wallX, y + height]);
+                });
+                if (Math.abs(floorY - y) < clearance) {
+                    const halfWidth = Math.sqrt(clearance * clearance - (floorY - y) * (floorY - y));
+                    candidates.push([x - halfWidth, floorY], [x + halfWidth, floorY]);
+                }
+                obstacles.slice(i + 1).forEach(([otherX, otherY, otherClearance]) => {
+                    const distance = Math.hypot(otherX - x, otherY - y);
+                    if (distance >= clearance + otherClearance || distance <= Math.abs(clearance - otherClearance)) {
+                        return; // The circles of spots touching either obstacle do not cross.
+                    }
+                    const along = (clearance * clearance - otherClearance * otherClearance + distance * distance) /
+                        (2 * distance);
+                    const across = Math.sqrt(clearance * clearance - along * along);
+                    const ux = (otherX - x) / distance;
+                    const uy = (otherY - y) / distance;
+                    candidates.push([x + ux * along - uy * across, y + uy * along + ux * across],
+                        [x + ux * along + uy * across, y + uy * along - ux * across]);
+                });
+            });
+
+            let best = [liftedX, liftedY];
+            let bestDistance = Math.hypot(liftedX - ball.x, liftedY - ball.y);
+            candidates.forEach(([x, y]) => {
+                const distance = Math.hypot(x - ball.x, y - ball.y);
+                if (distance < bestDistance && isClear(x, y, bin)) {
+                    best = [x, y];
+                    bestDistance = distance;
+                }
+            });
+            [ball.x, ball.y] = best;
+            return true;
+        }
+
+        /**
+         * Handles a ball in the bins when config.stackBalls is set. Inside a bin, the bin's walls and floor
+         * hold the ball; everywhere near the bins it collides with the balls already resting there. A ball
+         * that comes to rest on the floor, or wedged between supports on both sides, settles in the bin and
+         * becomes part of the pile, unless it rests above the bin's rim; then the bin is full and the ball
+         * spills over (see spillBall()) or, under the 'lose' overflow policy, is lost. A ball that stays slow while
+         * touching the pile for maxRestTime comes to rest as well. Bouncing out of one contact can push the ball
+         * into another, so it is then moved clear of them all (see moveClear()) and never comes to rest on a spot
+         * another ball already takes.
+         * @param {object} ball - The ball object to check for bin interactions.
+         * @param {number} dt - Time step, in seconds.
+         */
+        function handleStackedBinInteractions(ball, dt) {
+            if (bins.length === 0 || ball.isSettling || ball.landed) {
+                return;
+            }
+            const ballRadius = geometry.ballRadius;
+            if (ball.y + 3 * ballRadius < bins[0].y) return; // Above the bins and any ball resting at their rim.
+            if (ball.spillDirection !== 0 && ball.vy < 0) return; // Hopping off a full bin, it clears walls and pile on its way up.
+
+            const findBin = () => bins.findIndex(bin => ball.x >= bin.x && ball.x < bin.x + bin.width);
+            let binIndex = findBin();
+            if (binIndex === -1) return; // Beside the bins, the ball falls off the board.
+            let bin = bins[binIndex];
+
+            // Takes away the ball's speed toward a contact with unit normal (nx, ny), keeping a little bounce.
+            const bounceOff = (nx, ny) => {
+                const normalSpeed = ball.vx * nx + ball.vy * ny;
+                if (normalSpeed < 0) {
+                    ball.vx -= (1 + physics.bounceFactor) * normalSpeed * nx;
+                    ball.vy -= (1 + physics.bounceFactor) * normalSpeed * ny;
+                }
+            };
+
+            if (ball.y <= bin.y) {
+                // Above the rim, the ball can only touch the top ends of the bin's walls.
+                [bin.x, bin.x + bin.width].forEach(wallX => {
+                    const dx = ball.x - wallX;
+                    const dy = ball.y - bin.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance >= ballRadius || distance === 0) return;
+                    ball.x = wallX + dx / distance * ballRadius;
+                    ball.y = bin.y + dy / distance * ballRadius;
+                    bounceOff(dx / distance, dy / distance);
+                });
+            } else {
+                // Below the rim, the bin's walls and floor hold the ball.
+                if (ball.x - ballRadius < bin.x) {
+                    ball.x = bin.x + ballRadius;
+                    ball.vx = Math.abs(ball.vx) * physics.wallDamping;
+                } else if (ball.x + ballRadius > bin.x + bin.width) {
+                    ball.x = bin.x + bin.width - ballRadius;
+                    ball.vx = -Math.abs(ball.vx) * physics.wallDamping;
+                }
+                const floorY = bin.y + bin.height - ballRadius;
+                if (ball.y >= floorY) {
+                    ball.y = floorY;
+                    ball.vy *= -physics.bounceFactor;
+                }
+            }
+
+            // Collide with the nearby resting balls, including those of neighboring bins sticking out over the walls.
+            const contactDistance = 2 * ballRadius;
+            stackGrid.query(ball.x, ball.y).forEach(other => {
+                const dx = ball.x - other.x;
+                const dy = ball.y - other.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= contactDistance) return;
+                // Push the ball out of the resting ball and take away its speed toward it.
+                const nx = distance > 0 ? dx / distance : 0;
+                const ny = distance > 0 ? dy / distance : -1;
+                ball.x = other.x + nx * contactDistance;
+                ball.y = other.y + ny * contactDistance;
+                bounceOff(nx, ny);
+            });
+
+            binIndex = findBin();
+            if (binIndex === -1) return; // Pushed beside the bins, the ball falls off the board.
+            bin = bins[binIndex];
+            if (moveClear(ball, bin)) {
+                ball.vx = 0; // Jammed in, it stops where it fits.
+                ball.vy = 0;
+            }
+
+            // Collect what the ball touches: each contact pushes it along a unit normal (nx, ny).
+            let supportedLeft = false; // Resting against a wall or a ball on its left.
+            let supportedRight = false; // Resting against a wall or a ball on its right.
+            let supportedBelow = false; // Resting on top of another ball or the top of a wall.
+            const addSupport = (nx, ny) => {
+                if (ny < 0) supportedBelow = true; // The contact carries the ball.
+                if (ny < 0.5) { // The contact is not above the ball, so it holds it from one side.
+                    if (nx >= 0) supportedLeft = true;
+                    if (nx <= 0) supportedRight = true;
+                }
+            };
+            const onFloor = ball.y > bin.y && ball.y >= bin.y + bin.height - ballRadius - CONTACT_TOLERANCE;
+            if (ball.y > bin.y) {
+                if (ball.x - ballRadius < bin.x + CONTACT_TOLERANCE) addSupport(1, 0);
+                if (ball.x + ballRadius > bin.x + bin.width - CONTACT_TOLERANCE) addSupport(-1, 0);
+            }
+            getObstacles(ball.x, ball.y, bin).forEach(([x, y, clearance]) => {
+                const dx = ball.x - x;
+                const dy = ball.y - y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > 0 && distance < clearance + CONTACT_TOLERANCE) addSupport(dx / distance, dy / distance);
+            });
+
+            const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+            const isSlowOnPile = speed < physics.settleSpeed && (onFloor || supportedBelow);
+            ball.restTime = isSlowOnPile ? ball.restTime + dt : 0;
+            const isWedged = onFloor || (supportedBelow && supportedLeft && supportedRight);
+            if (!isSlowOnPile || (!isWedged && ball.restTime < physics.maxRestTime)) {
+                return; // Still moving, or balanced on a single support it will roll off.
+            }
+            ball.restTime = 0;
+            if (ball.y >= bin.y + ballRadius) {
+                landBall(ball, binIndex);
+                bin.stack.push(ball);
+                stackGrid.insert(ball, ball.x, ball.y);
+            } else if (config.overflowPolicy === 'lose') {
+                ball.overflowed = true;
+                loseBall(ball, 'overflow');
+            } else {
+                spillBall(ball, binIndex);
+            }
+        }
+
+        /**
+         * Resolves collisions between moving balls. Overlapping balls are pushed apart equally, and two balls
+         * that approach each other exchange momentum along the line between their centers, losing energy
+         * like a ball bouncing off a peg. Balls resting in the bins are handled with the bins. A ball hopping off
+         * a full bin passes over the others as it passes over the pile, and two balls on one peg pass each other,
+         * as the peg sends each its own way; pushed back onto it again and again, they could block it for good.
+         */
+        function handleBallBallCollisions() {
+            const contactDistance = 2 * geometry.ballRadius;
+            const isHopping = ball => ball.spillDirection !== 0 && ball.vy < 0;
+            const movingBalls = balls.filter(ball => !ball.landed && !ball.isSettling && !isHopping(ball));
+            ballGrid.clear();
+            movingBalls.forEach(ball => ballGrid.insert(ball, ball.x, ball.y));
+
+            movingBalls.forEach(ball => {
+                ballGrid.query(ball.x, ball.y).forEach(other => {
+                    if (other.index <= ball.index) return; // Handle every pair once.
+                    if (ball.touchingPeg !== -1 && ball.touchingPeg === other.touchingPeg) return;
+                    const dx = other.x - ball.x;
+                    const dy = other.y - ball.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance >= contactDistance) return;
+
+                    // Unit normal from ball to other; the later ball was dropped above when both are in one spot.
+                    const nx = distance > 0 ? dx / distance : 0;
+                    const ny = distance > 0 ? dy / distance : -1;
+                    const overlap = contactDistance - distance;
+                    ball.x -= nx * overlap / 2;
+                    ball.y -= ny * overlap / 2;
+                    other.x += nx * overlap / 2;
+                    other.y += ny * overlap / 2;
+
+                    const approachSpeed = (ball.vx - other.vx) * nx + (ball.vy - other.vy) * ny;
+                    if (approachSpeed > 0) {
+                        const impulse = (1 + physics.bounceFactor) * approachSpeed / 2; // Equal masses.
+                        ball.vx -= impulse * nx;
+                        ball.vy -= impulse * ny;
+                        other.vx += impulse * nx;
+                        other.vy += impulse * ny;
+                    }
+                });
+            });
+        }
+
+        // --- Public Methods ---
+
+        /**
+         * Rebuilds the board from the current configuration: clears all balls and bin counts
+         * and recalculates the geometry, pegs and bins.
+         */
+        function reset() {
+            physics = Object.freeze(Object.assign({}, PHYSICS, config.physics, { fixedTimeStep: FIXED_TIME_STEP }));
+            balls = [];
+            activeBallCount = 0;
+            time = 0;
+            pendingDrops = 0;
+            computeGeometry();
+            initPegs();
+            initBins();
+            ballGrid = createSpatialGrid(2 * geometry.ballRadius); // Touching balls are in the same or adjacent cells.
+            stackGrid = createSpatialGrid(2 * geometry.ballRadius);
+        }
+
+        /**
+         * Changes the configuration and rebuilds the board.
+         * @param {object} changes - Configuration keys to change; see DEFAULT_OPTIONS.
+         */
+        function configure(changes) {
+            Object.assign(config, changes);
+            reset();
+        }
+
+        /**
+         * Drops a new ball into the board.
+         * @returns {object} The new ball.
+         * @throws {Error} If config.distribution is not 'bernoulli'.
+         */
+        function dropBall() {
+            checkPhysicalDraws();
+            const ball = createBall(balls.length);
+            balls.push(ball);
+            activeBallCount++;
+            emit('balldropped', { ball: ball });
+            return ball;
+        }
+
+        /**
+         * Fills the bins statistically instead of simulating the balls' motion, in a time that does not grow with
+         * the number of balls. For the 'bernoulli' distribution, the balls are shared among the drop positions by
+         * their weights and enter the triangle in the row in which they meet it (see getDropPosition()); at every
+         * peg, a binomial draw with probability config.bias decides how many of the balls arriving there bounce to
+         * the right, and the balls leaving the last row land in the bin below. This is the same distribution as
+         * one Bernoulli trial per ball and row, and every peg counts the balls that arrived at it as hits. For the
+         * other distributions, the balls are shared among the bins by a multinomial draw with the exact
+         * probabilities of the sums of their draws (see binProbabilities() in stats.js); no pegs are hit. Bin
+         * capacities are ignored, so every sampled ball is counted. The result depends only on the seed, the
+         * number of rows, the bias, the distribution, the drop positions and the count.
+         * @param {number} count - Number of balls to sample.
+         * @throws {Error} If the board has a custom layout, whose paths are not a row of Bernoulli trials.
+         */
+        function sampleBalls(count) {
+            if (config.layout) {
+                throw new Error('Balls can only be sampled on the triangular board, not on a custom layout.');
+            }
+            const random = createRandom(config.seed);
+            const rows = config.rows;
+            const bias = config.bias;
+            const counts = new Array(bins.length).fill(0);
+            if (config.distribution !== 'bernoulli') {
+                const probabilities = stats.binProbabilities(rows, bias, config.distribution, null, DRAW_PARAMETERS);
+                sampleMultinomial(count, probabilities, random).forEach((binCount, i) => { counts[i] += binCount; });
+            } else {
+                const sources = config.sources || [{ offset: 0, weight: 1 }];
+                const totalWeight = sources.reduce((sum, source) => sum + source.weight, 0);
+                const sourceCounts = sampleMultinomial(count, sources.map(source => source.weight / totalWeight), random);
+                sources.forEach(({ offset }, i) => {
+                    const firstRow = 2 * Math.abs(offset); // Rows above it are narrower than the offset.
+                    const firstCol = offset > 0 ? firstRow : 0; // Column of the peg the balls meet first.
+                    let arriving = [sourceCounts[i]]; // Balls arriving at the pegs of the row, from firstCol on.
+                    for (let row = firstRow; row < rows; row++) {
+                        const leaving = new Array(arriving.length + 1).fill(0);
+                        arriving.forEach((balls, k) => {
+                            if (balls === 0) return;
+                            pegs[row * (row + 1) / 2 + firstCol + k].hits += balls; // The triangle numbers its pegs row by row.
+                            const right = sampleBinomial(balls, bias, random);
+                            leaving[k] += balls - right;
+                            leaving[k + 1] += right;
+                        });
+                        arriving = leaving;
+                    }
+                    arriving.forEach((balls, k) => { counts[firstCol + k] += balls; });
+                });
+            }
+            bins.forEach((bin, i) => { bin.count += counts[i]; });
+            emit('ballssampled', { count: count });
+        }
+
+        /**
+         * Picks the drop position of a dropped ball from config.sources by their weights. The random generator is
+         * only used if there is more than one source, so runs with a single drop position are not changed by it.
+         * @param {function(): number} random - Random number generator.
+         * @returns {number} The drop position in peg spacings from the center; 0 without config.sources.
+         */
+        function pickDropOffset(random) {
+            const sources = config.sources;
+            if (!sources || sources.length === 0) return 0;
+            if (sources.length === 1) return sources[0].offset;
+            const totalWeight = sources.reduce((sum, source) => sum + source.weight, 0);
+            let target = random() * totalWeight;
+            for (let i = 0; i < sources.length - 1; i++) {
+                target -= sources[i].weight;
+                if (target < 0) return sources[i].offset;
+            }
+            return sources[sources.length - 1].offset;
+        }
+
+        /**
+         * Checks that balls can be moved over the pegs with the current distribution.
+         * @throws {Error} If config.distribution is not 'bernoulli'; such sums can only be sampled.
+         */
+        function checkPhysicalDraws() {
+            if (config.distribution !== 'bernoulli') {
+                throw new Error('Sums of ' + config.distribution + ' draws can only be sampled, not dropped.');
+            }
+        }
+
+        /**
+         * Returns a plain record of every ball dropped since the last reset.
+         * @returns {Array<{index: number, dropTime: number, dropOffset: number, binIndex: (number|null), lost: boolean, overflowed: boolean, path: Array<object>}>}
+         *          One record per ball, in drop order. binIndex is null for balls that have not landed in a bin;
+         *          path lists the pegs the ball hit, as described for the ball's path property.
+         */
+        function getBallRecords() {
+            return balls.map(ball => ({
+                index: ball.index,
+                dropTime: ball.dropTime,
+                dropOffset: ball.dropOffset,
+                binIndex: ball.binIndex,
+                lost: ball.lost,
+                overflowed: ball.overflowed,
+                path: ball.path.map(hit => Object.assign({}, hit))
+            }));
+        }
+
+        /**
+         * Rebuilds the board and restores the outcome of a finished run, e.g. from an exported file,
+         * without simulating it again.
+         * @param {number[]} counts - Number of balls in each bin; must have one entry per bin.
+         * @param {Array<object>} [ballRecords=[]] - Ball records as returned by getBallRecords().
+         */
+        function restoreResults(counts, ballRecords = []) {
+            reset();
+            if (counts.length !== bins.length) {
+                throw new Error('Expected ' + bins.length + ' bin counts for this board, got ' + counts.length + '.');
+            }
+            bins.forEach((bin, i) => { bin.count = counts[i]; });
+            // Restored balls have finished their run, so they are never simulated or drawn again.
+            balls = ballRecords.map(record => Object.assign({ path: [] }, record, { landed: true, isSettling: false }));
+            // Recount the peg hits from the restored paths, each ball once per peg.
+            balls.forEach(ball => {
+                new Set(ball.path.map(hit => hit.pegIndex)).forEach(pegIndex => {
+                    if (pegs[pegIndex]) pegs[pegIndex].hits++;
+                });
+            });
+        }
+
+        /**
+         * Returns the point at which new balls enter the board. A ball dropped off the center falls past the
+         * narrow top rows of the triangle to the edge peg of row 2|offset|.
+         * @param {number} [offset=0] - Whole peg spacings from the center, negative to the left; see config.sources.
+         * @returns {{x: number, y: number}} The drop position.
+         */
+        function getDropPosition(offset = 0) {
+            // Start ball above the middle of the board, where the triangle's first peg is, or beside it.
+            return {
+                x: geometry.width / 2 + offset * geometry.pegSpacingX,
+                y: geometry.startYOffset - geometry.pegSpacingY // Position above the first peg row.
+            };
+        }
+
+        /**
+         * Schedules balls to be dropped by step() at regular intervals of simulated time.
+         * The first ball is dropped by the next step.
+         * @param {number} count - Number of balls to drop.
+         * @param {number} interval - Simulated time between two drops, in seconds.
+         * @throws {Error} If config.distribution is not 'bernoulli'.
+         */
+        function scheduleDrops(count, interval) {
+            checkPhysicalDraws();
+            pendingDrops = count;
+            dropInterval = interval;
+            nextDropTime = time;
+        }
+
+        /**
+         * Advances the simulation by one time step: drops the scheduled balls that are due
+         * and moves all balls.
+         * @param {number} [dt=FIXED_TIME_STEP] - Length of the time step, in seconds.
+         */
+        function step(dt = FIXED_TIME_STEP) {
+            // The small tolerance keeps rounding errors in the summed time steps from delaying a drop by a whole step.
+            while (pendingDrops > 0 && nextDropTime <= time + 1e-9) {
+                dropBall();
+                pendingDrops--;
+                nextDropTime += dropInterval;
+            }
+
+            balls.forEach(ball => {
+                if (ball.landed) return; // Skip already landed balls.
+
+                ball.prevX = ball.x;
+                ball.prevY = ball.y;
+
+                if (ball.isSettling) {
+                    // If a ball was marked as 'isSettling' in the previous step (e.g., by handleBallBinInteractions),
+                    // finalize its state to 'landed' for the current step.
+                    // This prevents it from being drawn or processed further as an active ball.
+                    ball.landed = true;
+                    return;
+                }
+
+                applyBallPhysics(ball, dt); // Apply gravity and update position.
+                handleBallWallCollisions(ball); // Check and handle wall collisions.
+
+                // Re-check if landed, as wall collision (e.g., falling off bottom) might have changed state.
+                if (ball.landed) return;
+
+                handleBallPegCollisions(ball); // Check and handle peg collisions.
+                if (config.stackBalls) {
+                    handleStackedBinInteractions(ball, dt); // Collide with the piles in the bins and settle on them.
+                } else {
+                    handleBallBinInteractions(ball); // Check and handle bin interactions (settling or bouncing).
+                }
+            });
+
+            if (config.ballCollisions) {
+                handleBallBallCollisions(); // Push apart the balls that ran into each other during this step.
+            }
+
+            time += dt;
+        }
+
+        /**
+         * Registers an event listener.
+         * @param {string} type - Event type ('balldropped', 'balllanded' or 'balllost').
+         * @param {function(object): void} listener - Called with the event data.
+         */
+        function on(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        }
+
+        /**
+         * Removes an event listener registered with on().
+         * @param {string} type - Event type.
+         * @param {function(object): void} listener - The listener to remove.
+         */
+        function off(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+        }
+
+        reset();
+
+        return {
+            get config() { return Object.assign({}, config); }, // Copy of the current configuration.
+            get geometry() { return geometry; },
+            get physics() { return physics; }, // Physics constants in effect, including config.physics.
+            get pegs() { return pegs; },
+            get balls() { return balls; },
+            get bins() { return bins; },
+            get activeBallCount() { return activeBallCount; },
+            get time() { return time; }, // Simulated time since the last reset, in seconds.
+            get pendingDrops() { return pendingDrops; }, // Scheduled balls that have not been dropped yet.
+            /**
+             * Checks whether any ball is still moving or settling.
+             * @returns {boolean} True if at least one ball has not landed yet.
+             */
+            hasMovingBalls() {
+                return activeBallCount > 0 || balls.some(ball => !ball.landed);
+            },
+            /**
+             * Checks whether the run is over: every scheduled ball has been dropped and has landed.
+             * @returns {boolean} True if there is nothing left to simulate.
+             */
+            isFinished() {
+                return pendingDrops === 0 && !this.hasMovingBalls();
+            },
+            /**
+             * Returns the number of balls in each bin.
+             * @returns {number[]} Bin counts from left to right.
+             */
+            getCounts() {
+                return bins.map(bin => bin.count);
+            },
+            /**
+             * Accounts for every ball since the last reset. binned + lost + inFlight + waiting always equals the
+             * number of balls dropped, sampled or restored plus those still scheduled.
+             * @returns {{binned: number, lost: number, inFlight: number, waiting: number, overflowed: number, spilled: number}}
+             *          Balls counted in bins, lost (off the board or by overflow), still moving, and not dropped yet;
+             *          overflowed counts the balls that reached a full bin, and spilled those of them that then
+             *          landed in another bin.
+             */
+            getTally() {
+                const tally = {
+                    binned: bins.reduce((sum, bin) => sum + bin.count, 0),
+                    lost: 0,
+                    inFlight: activeBallCount,
+                    waiting: pendingDrops,
+                    overflowed: 0,
+                    spilled: 0
+                };
+                balls.forEach(ball => {
+                    if (ball.lost) tally.lost++;
+                    if (ball.overflowed) {
+                        tally.overflowed++;
+                        if (ball.binIndex !== null) tally.spilled++;
+                    }
+                });
+                return tally;
+            },
+            reset,
+            configure,
+            dropBall,
+            latticeToBoard,
+            boardToLattice,
+            getBallRecords,
+            getDropPosition,
+            restoreResults,
+            sampleBalls,
+            scheduleDrops,
+            step,
+            on,
+            off
+        };
+    }
+
+    return {
+        FIXED_TIME_STEP,
+        MAX_FRAME_TIME,
+        OVERFLOW_POLICIES,
+        DRAW_DISTRIBUTIONS,
+        DRAW_PARAMETERS,
+        PHYSICS,
+        PHYSICS_PRESETS,
+        createGaltonEngine,
+        createFrameClock,
+        createRandom,
+        getDropInterval
+    };
+}));
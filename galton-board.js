@@ -0,0 +1,326 @@
+/**
+ * The <galton-board> custom element: a self-contained Galton board for embedding in other pages.
+ * Every element has its own engine (engine.js) and renderer (renderer.js) drawing on a canvas in its shadow root,
+ * so a page can hold several boards. Loaded as a plain browser script after stats.js, engine.js, renderer.js and
+ * limits.js; defines the element and exposes its class as the global `GaltonBoardElement`.
+ *
+ * Attributes:
+ * - rows, balls, capacity, bias: number of peg rows, balls per run, bin capacity and right-bounce probability.
+ *   Missing values and values outside the limits fall back to the defaults; limits.js holds both, for the
+ *   element and the main page.
+ * - seed: whole number seed of the runs; without it every run picks a random seed.
+ * - autoplay: start a run as soon as the element is added to the page.
+ * - theory: draw the binomial distribution over the bins.
+ * Changed attributes apply right away while no run is in progress, and otherwise with the next reset() or start().
+ *
+ * Methods: start(), pause(), reset() and getCounts().
+ *
+ * Events, dispatched on the element (they bubble and cross shadow roots):
+ * - 'runstart' with { seed } when a run starts.
+ * - 'balldropped' with { ball } when a ball enters the board; ball is its index in the run.
+ * - 'balllanded' with { ball, binIndex } when a ball settles in a bin.
+ * - 'balllost' with { ball, reason } when a ball leaves the board without landing (see engine.js).
+ * - 'runcomplete' with { seed, counts } when every ball of the run has landed or was lost.
+ */
+(function (root) {
+    'use strict';
+
+    if (!root.customElements) return; // Custom elements need a browser that supports them.
+
+    const { createGaltonEngine, createFrameClock, getDropInterval, FIXED_TIME_STEP } = root.GaltonEngine;
+    const { PARAMETER_LIMITS, PARAMETER_DEFAULTS, isWithinLimits } = root.GaltonLimits;
+
+    // Attributes with a numeric value: the parameter of PARAMETER_LIMITS and PARAMETER_DEFAULTS that they set.
+    const NUMBER_ATTRIBUTES = {
+        rows: 'rows',
+        balls: 'balls',
+        capacity: 'binCapacity',
+        bias: 'bias'
+    };
+
+    const SHADOW_STYLE = `
+        :host { display: block; }
+        :host([hidden]) { display: none; }
+        canvas { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+    `;
+
+    const controllers = new WeakMap(); // Board controller of each element, see createBoardController().
+
+    /**
+     * Reads a numeric attribute of the element.
+     * @param {HTMLElement} element - The element.
+     * @param {string} name - Name of the attribute; a key of NUMBER_ATTRIBUTES.
+     * @returns {number} The attribute's value, or its default if it is missing or not an accepted value.
+     */
+    function readNumberAttribute(element, name) {
+        const parameter = NUMBER_ATTRIBUTES[name];
+        const text = (element.getAttribute(name) || '').trim();
+        const value = Number(text);
+        return text !== '' && isWithinLimits(parameter, value) ? value : PARAMETER_DEFAULTS[parameter];
+    }
+
+    /**
+     * Reads the seed attribute of the element.
+     * @param {HTMLElement} element - The element.
+     * @returns {number|null} The seed, or null if the element has no usable seed.
+     */
+    function readSeedAttribute(element) {
+        const text = (element.getAttribute('seed') || '').trim();
+        const seed = Number(text);
+        return text !== '' && isWithinLimits('seed', seed) ? seed : null;
+    }
+
+    /**
+     * Creates the simulation behind one element: its engine, renderer and animation loop.
+     * @param {HTMLElement} element - The element, which receives the events.
+     * @param {HTMLCanvasElement} canvas - The canvas in the element's shadow root.
+     * @returns {object} The controller, with the element's methods and its lifecycle hooks.
+     */
+    function createBoardController(element, canvas) {
+        let animationFrameId = null; // ID for the requestAnimationFrame loop while the animation runs.
+        let isRunActive = false; // True from the start of a run until it finishes or is reset, also while paused.
+        let isPaused = false; // True while an active run is paused.
+        let runSeed = 0; // Seed of the current run.
+        let availableWidth = Infinity; // Width of the element as of the last layout, in CSS pixels.
+        let resizeObserver = null; // Watches the element's width while it is on the page.
+        let isConnected = false; // True while the element is on the page.
+
+        const clock = createFrameClock(); // Turns the time between animation frames into physics steps.
+        const engine = createGaltonEngine(readSettings());
+        const renderer = createBoardRenderer(canvas, engine, { showTheory: element.hasAttribute('theory') });
+
+        engine.on('balldropped', ({ ball }) => dispatch('balldropped', { ball: ball.index }));
+        engine.on('balllanded', ({ ball, binIndex }) => dispatch('balllanded', { ball: ball.index, binIndex: binIndex }));
+        engine.on('balllost', ({ ball, reason }) => dispatch('balllost', { ball: ball.index, reason: reason }));
+
+        /**
+         * Dispatches an event on the element.
+         * @param {string} type - Event type.
+         * @param {object} detail - Event data, available as the event's `detail`.
+         */
+        function dispatch(type, detail) {
+            element.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+        }
+
+        /**
+         * Reads the board settings from the element's attributes.
+         * @returns {object} Engine configuration for rows, bin capacity and bias.
+         */
+        function readSettings() {
+            return {
+                rows: readNumberAttribute(element, 'rows'),
+                binCapacity: readNumberAttribute(element, 'capacity'),
+                bias: readNumberAttribute(element, 'bias')
+            };
+        }
+
+        /**
+         * Advances the run in fixed physics steps and redraws the board; called using requestAnimationFrame.
+         * @param {number} timestamp - Time of the frame in milliseconds, provided by requestAnimationFrame.
+         */
+        function gameLoop(timestamp) {
+            const stepFraction = clock.tick(timestamp, 1, () => {
+                if (engine.isFinished()) return false;
+                engine.step(FIXED_TIME_STEP);
+                return true;
+            });
+            renderer.render(stepFraction);
+
+            if (!engine.isFinished()) {
+                animationFrameId = requestAnimationFrame(gameLoop);
+            } else {
+                stopLoop();
+                isRunActive = false;
+                dispatch('runcomplete', { seed: runSeed, counts: engine.getCounts() });
+            }
+        }
+
+        /**
+         * Starts the animation loop unless it is already running.
+         */
+        function startLoop() {
+            clock.resume(); // Do not count the time before the start or while the loop was stopped.
+            if (animationFrameId === null) animationFrameId = requestAnimationFrame(gameLoop);
+        }
+
+        /**
+         * Stops the animation loop.
+         */
+        function stopLoop() {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+        }
+
+        /**
+         * Starts a run with the current attributes, or resumes a paused run. Does nothing while a run is animating.
+         */
+        function start() {
+            if (isRunActive && !isPaused) return;
+            if (!isRunActive) {
+                const seed = readSeedAttribute(element);
+                runSeed = seed === null ? Math.floor(Math.random() * (PARAMETER_LIMITS.seed.max + 1)) : seed;
+                engine.configure(Object.assign(readSettings(), { seed: runSeed }));
+                renderer.resize(availableWidth);
+                const balls = readNumberAttribute(element, 'balls');
+                engine.scheduleDrops(balls, getDropInterval(balls));
+                isRunActive = true;
+                clock.restart(FIXED_TIME_STEP); // Take the first physics step on the first frame.
+                dispatch('runstart', { seed: runSeed });
+            }
+            isPaused = false;
+            startLoop();
+        }
+
+        /**
+         * Pauses a running run; start() resumes it.
+         */
+        function pause() {
+            if (!isRunActive || isPaused) return;
+            isPaused = true;
+            stopLoop();
+        }
+
+        /**
+         * Stops any run and redraws the empty board from the current attributes.
+         */
+        function reset() {
+            stopLoop();
+            isRunActive = false;
+            isPaused = false;
+            engine.configure(readSettings());
+            renderer.resize(availableWidth);
+            renderer.render();
+        }
+
+        /**
+         * Fits the board, including a run in progress, to a new element width.
+         * @param {number} width - Width of the element in CSS pixels.
+         */
+        function resize(width) {
+            if (!(width > 0) || width === availableWidth) return; // The height follows the board; ignore its changes.
+            availableWidth = width;
+            renderer.resize(availableWidth);
+            if (!isRunActive || isPaused) renderer.render(); // A running board redraws on its next frame.
+        }
+
+        /**
+         * Called when the element is added to the page: sizes the board to the element, and starts a run if the
+         * element has the autoplay attribute.
+         */
+        function connect() {
+            isConnected = true;
+            const width = element.clientWidth || Infinity;
+            if (typeof ResizeObserver !== 'undefined') {
+                resizeObserver = new ResizeObserver(entries => resize(entries[0].contentRect.width));
+                resizeObserver.observe(element);
+            }
+            if (isRunActive) {
+                resize(width); // The board may have been moved into a container of another width.
+                if (!isPaused) startLoop(); // Resume the animation that disconnect() stopped.
+                return;
+            }
+            availableWidth = width;
+            reset();
+            if (element.hasAttribute('autoplay')) start();
+        }
+
+        /**
+         * Called when the element is removed from the page: stops the animation without ending the run.
+         */
+        function disconnect() {
+            isConnected = false;
+            stopLoop();
+            if (resizeObserver) resizeObserver.disconnect();
+            resizeObserver = null;
+        }
+
+        /**
+         * Applies a changed attribute.
+         * @param {string} name - Name of the attribute.
+         */
+        function attributeChanged(name) {
+            if (name === 'theory') {
+                renderer.options.showTheory = element.hasAttribute('theory');
+                if (!isRunActive || isPaused) renderer.render();
+            } else if (!isRunActive && isConnected) {
+                reset();
+            }
+        }
+
+        return {
+            start,
+            pause,
+            reset,
+            getCounts: () => engine.getCounts(),
+            connect,
+            disconnect,
+            attributeChanged
+        };
+    }
+
+    /**
+     * The <galton-board> element. See the top of this file for its attributes, methods and events.
+     */
+    class GaltonBoardElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['rows', 'balls', 'capacity', 'seed', 'bias', 'theory'];
+        }
+
+        constructor() {
+            super();
+            const shadow = this.attachShadow({ mode: 'open' });
+            const style = document.createElement('style');
+            style.textContent = SHADOW_STYLE;
+            const canvas = document.createElement('canvas');
+            canvas.setAttribute('part', 'canvas'); // Lets host pages style the board with ::part(canvas).
+            shadow.append(style, canvas);
+            controllers.set(this, createBoardController(this, canvas));
+        }
+
+        connectedCallback() {
+            controllers.get(this).connect();
+        }
+
+        disconnectedCallback() {
+            controllers.get(this).disconnect();
+        }
+
+        attributeChangedCallback(name) {
+            controllers.get(this).attributeChanged(name);
+        }
+
+        /**
+         * Starts a run with the current attributes, or resumes a paused run.
+         */
+        start() {
+            controllers.get(this).start();
+        }
+
+        /**
+         * Pauses the running run; start() resumes it.
+         */
+        pause() {
+            controllers.get(this).pause();
+        }
+
+        /**
+         * Stops any run and clears the board.
+         */
+        reset() {
+            controllers.get(this).reset();
+        }
+
+        /**
+         * Returns the number of balls in each bin.
+         * @returns {number[]} Bin counts from left to right.
+         */
+        getCounts() {
+            return controllers.get(this).getCounts();
+        }
+    }
+
+    if (!root.customElements.get('galton-board')) {
+        root.customElements.define('galton-board', GaltonBoardElement);
+    }
+    root.GaltonBoardElement = GaltonBoardElement;
+}(typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,178 @@
+/**
+ * Peg layouts for the Galton board.
+ * A layout lists peg positions in lattice units: x counts horizontal peg spacings from the drop point (negative
+ * to the left) and y counts row spacings down from the first row. Removed pegs are kept as holes so they can be
+ * put back. Works as a plain browser script (exposed as the global `GaltonLayouts`) and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GaltonLayouts = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FORMAT = 'galton-board-layout'; // Identifies saved layout files.
+    const VERSION = 1; // Version of the saved layout format.
+
+    // Preset layouts that createPresetLayout() can build.
+    // - 'triangle': the classic Galton board; row r has r + 1 pegs.
+    // - 'rectangle': a square grid, so a ball that passes a peg falls straight through the gaps below it.
+    // - 'staggered': a rectangular block of the triangle's lattice; each row is offset by half a spacing.
+    // - 'funnel': the triangle upside down, so the rows narrow towards the bins and balls that leave the
+    //   narrowing rows fall straight down.
+    // - 'channel': the triangle without the pegs on the center line, which opens a straight channel.
+    // - 'holes': the triangle with every third peg missing in every other row.
+    const LAYOUT_PRESETS = Object.freeze(['triangle', 'rectangle', 'staggered', 'funnel', 'channel', 'holes']);
+
+    /**
+     * Lists the positions of the pegs in one row of the triangle.
+     * @param {number} row - Row index, counted from the top (0-based).
+     * @returns {number[]} The x positions, in lattice units, from left to right.
+     */
+    function triangleRow(row) {
+        const xs = [];
+        for (let col = 0; col <= row; col++) {
+            xs.push(col - row / 2);
+        }
+        return xs;
+    }
+
+    /**
+     * Builds a preset layout.
+     * @param {string} preset - One of LAYOUT_PRESETS.
+     * @param {number} rows - Number of peg rows.
+     * @returns {{preset: string, pegs: Array<{x: number, y: number}>, holes: Array<{x: number, y: number}>}} The layout.
+     * @throws {Error} If the preset is unknown.
+     */
+    function createPresetLayout(preset, rows) {
+        const pegs = [];
+        const holes = [];
+        const halfWidth = Math.floor(rows / 2); // Half the width of the rectangular presets, in spacings.
+
+        for (let row = 0; row < rows; row++) {
+            let xs;
+            switch (preset) {
+                case 'triangle':
+                case 'channel':
+                case 'holes':
+                    xs = triangleRow(row);
+                    break;
+                case 'rectangle':
+                    xs = [];
+                    for (let x = -halfWidth; x <= halfWidth; x++) xs.push(x);
+                    break;
+                case 'staggered':
+                    xs = [];
+                    // Even rows have a peg below the drop point, odd rows have a gap there.
+                    for (let x = -halfWidth; x <= halfWidth; x++) {
+                        if (row % 2 === 0) {
+                            xs.push(x);
+                        } else if (x < halfWidth) {
+                            xs.push(x + 0.5);
+                        }
+                    }
+                    break;
+                case 'funnel':
+                    xs = triangleRow(rows - 1 - row);
+                    break;
+                default:
+                    throw new Error('Unknown layout preset "' + preset + '".');
+            }
+
+            xs.forEach((x, col) => {
+                const removed = (preset === 'channel' && row >= 2 && x === 0) ||
+                                (preset === 'holes' && row >= 2 && row % 2 === 0 && col % 3 === 1);
+                (removed ? holes : pegs).push({ x: x, y: row });
+            });
+        }
+        return { preset: preset, pegs: pegs, holes: holes };
+    }
+
+    /**
+     * Counts the rows a layout spans, from the first row to its lowest peg.
+     * @param {{pegs: Array<{x: number, y: number}>}} layout - The layout.
+     * @returns {number} The number of rows, at least 1.
+     */
+    function getLayoutRowCount(layout) {
+        return Math.floor(layout.pegs.reduce((max, peg) => Math.max(max, peg.y), 0)) + 1;
+    }
+
+    /**
+     * Serializes a layout as JSON.
+     * @param {{preset: string, pegs: Array<{x: number, y: number}>, holes: Array<{x: number, y: number}>}} layout - The layout.
+     * @returns {string} Indented JSON text.
+     */
+    function layoutToJSON(layout) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            preset: layout.preset,
+            pegs: layout.pegs.map(peg => ({ x: peg.x, y: peg.y })),
+            holes: layout.holes.map(hole => ({ x: hole.x, y: hole.y }))
+        }, null, 2);
+    }
+
+    /**
+     * Checks that a value lists positions in lattice units below the top of the board.
+     * @param {*} points - The value to check.
+     * @returns {boolean} True if it is an array of {x, y} with finite x and non-negative y.
+     */
+    function arePoints(points) {
+        return Array.isArray(points) && points.every(point =>
+            point && Number.isFinite(point.x) && Number.isFinite(point.y) && point.y >= 0);
+    }
+
+    /**
+     * Validates a layout object, e.g. one embedded in an exported run.
+     * @param {*} layout - The value to check.
+     * @returns {{preset: string, pegs: Array<{x: number, y: number}>, holes: Array<{x: number, y: number}>}} The layout,
+     *          with holes defaulting to none and the preset to 'custom'.
+     * @throws {Error} If the value is not a usable layout; the message says what is wrong.
+     */
+    function validateLayout(layout) {
+        if (!layout || !arePoints(layout.pegs) || layout.pegs.length === 0) {
+            throw new Error('The layout needs at least one peg, each with a numeric x and a y of at least 0.');
+        }
+        if (layout.holes !== undefined && !arePoints(layout.holes)) {
+            throw new Error('The layout\'s holes are invalid.');
+        }
+        return {
+            preset: typeof layout.preset === 'string' ? layout.preset : 'custom',
+            pegs: layout.pegs.map(peg => ({ x: peg.x, y: peg.y })),
+            holes: (layout.holes || []).map(hole => ({ x: hole.x, y: hole.y }))
+        };
+    }
+
+    /**
+     * Parses and validates a saved layout.
+     * @param {string} text - JSON text produced by layoutToJSON().
+     * @returns {{preset: string, pegs: Array<{x: number, y: number}>, holes: Array<{x: number, y: number}>}} The layout.
+     * @throws {Error} If the text is not a valid saved layout; the message says what is wrong.
+     */
+    function parseLayout(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!data || data.format !== FORMAT) {
+            throw new Error('The file is not a saved Galton board layout.');
+        }
+        if (data.version !== VERSION) {
+            throw new Error('Unsupported file version ' + data.version + '.');
+        }
+        return validateLayout(data);
+    }
+
+    return {
+        LAYOUT_PRESETS,
+        createPresetLayout,
+        getLayoutRowCount,
+        layoutToJSON,
+        validateLayout,
+        parseLayout
+    };
+}));
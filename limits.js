@@ -0,0 +1,77 @@
+/**
+ * Accepted ranges and default values of the Galton board's parameters.
+ * The page (script.js) and the <galton-board> element (galton-board.js) both check their inputs against these
+ * limits and start from these defaults, and the page copies them into the min, max and default values of its
+ * inputs, so there is one place to change a range or a default. Imported runs (results.js) are checked against
+ * the same limits. Works as a plain browser script (exposed as the global `GaltonLimits`) and as a CommonJS
+ * module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GaltonLimits = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Range of each parameter: the smallest and largest accepted value, whether it takes whole numbers only,
+    // and its name in messages. The physics parameters are keys of the engine's PHYSICS constants.
+    const PARAMETER_LIMITS = Object.freeze({
+        rows: { min: 1, max: 30, integer: true, name: 'Number of rows' },
+        balls: { min: 1, max: 5000, integer: true, name: 'Number of balls' }, // Animated runs, in reasonable time.
+        instantBalls: { min: 1, max: 10000000, integer: true, name: 'Number of balls' }, // Instant runs.
+        binCapacity: { min: 1, max: 1000, integer: true, name: 'Bin capacity' },
+        // Stacking bins grow with their capacity, so a large capacity would make the board huge.
+        stackedBinCapacity: { min: 1, max: 200, integer: true, name: 'Bin capacity' },
+        seed: { min: 0, max: 4294967295, integer: true, name: 'Seed' }, // Seeds are 32-bit unsigned integers.
+        bias: { min: 0, max: 1, integer: false, name: 'Right-bounce probability' },
+        gravity: { min: 50, max: 2000, integer: false, name: 'Gravity' },
+        bounceFactor: { min: 0, max: 0.9, integer: false, name: 'Bounce factor' },
+        horizontalBump: { min: 0, max: 300, integer: false, name: 'Peg kick' },
+        minBounceSpeed: { min: 0, max: 150, integer: false, name: 'Minimum kick' },
+        wallDamping: { min: 0, max: 1, integer: false, name: 'Wall bounce' },
+        ballRadius: { min: 2, max: 10, integer: false, name: 'Ball radius' },
+        pegRadius: { min: 2, max: 10, integer: false, name: 'Peg radius' }
+    });
+
+    // Default value of the parameters that the page's inputs and the element's attributes share.
+    const PARAMETER_DEFAULTS = Object.freeze({
+        rows: 10,
+        balls: 100,
+        binCapacity: 25,
+        bias: 0.5
+    });
+
+    /**
+     * Checks a value against the range of a parameter.
+     * @param {string} parameter - Key of the parameter in PARAMETER_LIMITS.
+     * @param {number} value - The value to check; NaN for an entry that is not a number.
+     * @returns {string|null} A message saying what is wrong, e.g. "Number of rows must be a whole number between
+     *          1 and 30.", or null if the value is accepted.
+     */
+    function checkParameter(parameter, value) {
+        const { min, max, integer, name } = PARAMETER_LIMITS[parameter];
+        if (Number.isFinite(value) && value >= min && value <= max && (!integer || Number.isInteger(value))) {
+            return null;
+        }
+        return name + ' must be ' + (integer ? 'a whole number ' : '') + 'between ' + min + ' and ' + max + '.';
+    }
+
+    /**
+     * Checks whether a value is in the range of a parameter.
+     * @param {string} parameter - Key of the parameter in PARAMETER_LIMITS.
+     * @param {number} value - The value to check.
+     * @returns {boolean} True if the value is accepted.
+     */
+    function isWithinLimits(parameter, value) {
+        return checkParameter(parameter, value) === null;
+    }
+
+    return {
+        PARAMETER_LIMITS,
+        PARAMETER_DEFAULTS,
+        checkParameter,
+        isWithinLimits
+    };
+}));
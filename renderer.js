@@ -0,0 +1,544 @@
+/**
+ * Canvas renderer for a Galton board engine (see engine.js).
+ * Draws the engine's pegs, balls and bins plus the optional theory overlay.
+ * Loaded as a plain browser script after stats.js and engine.js; exposes the global `createBoardRenderer`.
+ */
+(function (root) {
+    'use strict';
+
+    const { binomialCoefficient, binomialProbability, normalDensity, binProbabilities, distributionMoments } = root.GaltonStats;
+    const { DRAW_PARAMETERS } = root.GaltonEngine;
+
+    // --- Colors ---
+    const BALL_COLOR = '#2980b9'; // Color for the balls.
+    const PEG_COLOR = '#34495e'; // Color for the pegs.
+    const BIN_COLOR = '#7f8c8d'; // Color for the bin outlines.
+    const THEORY_COLOR = '#c0392b'; // Color for the expected binomial counts and normal curve overlay.
+    const PATH_COLOR_RGB = '230, 126, 34'; // RGB components of the color for highlighted ball paths.
+    const REPLAY_COLOR = '#d35400'; // Color for the replayed ball, its path and its L/R labels.
+    const HOLE_COLOR = '#bdc3c7'; // Color for the outlines of removed pegs in edit mode.
+    const TRAFFIC_COLOR_RGB = '39, 174, 96'; // RGB components of the shading of pegs by their hits in the peg overlay.
+    const OBSERVED_COLOR = '#1e8449'; // Color for the observed share of hits in the peg overlay.
+
+    const MAX_HIGHLIGHTED_PATHS = 300; // Most paths drawn for a selected bin (the most recent balls).
+    const MIN_PEG_SPACING = 18; // Smallest peg spacing drawn on screen, in CSS pixels; narrower boards overflow instead.
+
+    /**
+     * Creates a renderer that draws an engine's state onto a canvas.
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @param {object} engine - The engine created by GaltonEngine.createGaltonEngine().
+     * @param {object} [options] - Display options.
+     * @param {boolean} [options.showTheory=false] - Whether to draw the theoretical distribution over the bins.
+     * @param {number|null} [options.highlightBin=null] - Index of a bin whose balls' paths are highlighted.
+     * @param {{ball: object, progress: number}|null} [options.replay=null] - A ball whose path is being replayed,
+     *        with the replay progress measured in path segments (see getBallPathPoints()).
+     * @param {boolean} [options.editMode=false] - Whether the peg editor is open; it shows the removed pegs
+     *        of the engine's layout as outlines, so they can be clicked to put them back.
+     * @param {string|null} [options.pegOverlay=null] - Labels on the pegs of the triangle: 'paths' for the number of
+     *        paths from the top, C(row, col), or 'probability' for the chance that a ball arrives at the peg next to
+     *        the share of the row's hits it observed. Either way the pegs are shaded by their hits.
+     * @returns {object} The renderer. Its `options` object can be changed between frames.
+     */
+    function createBoardRenderer(canvas, engine, options) {
+        let ctx = canvas.getContext('2d'); // Context being drawn on; renderTo() swaps it for a moment.
+        const renderOptions = Object.assign({
+            showTheory: false, highlightBin: null, replay: null, editMode: false, pegOverlay: null
+        }, options);
+        let pixelRatio = 1; // Device pixels per CSS pixel, as of the last resize().
+        let scale = 1; // CSS pixels per board unit, as of the last resize().
+        let drawScale = 1; // Pixels per board unit of the drawing in progress, for lines and text that must stay legible.
+
+        /**
+         * Sizes the canvas to the engine's board, scaled down to fit the available width. The engine works in
+         * board units whatever the scale, so only the drawing changes. The canvas holds one pixel per device pixel,
+         * so the board stays sharp on high-density screens.
+         * @param {number} [availableWidth=Infinity] - Widest the board may be drawn, in CSS pixels. The board is
+         *        never drawn larger than its board units, nor so small that its pegs are closer than MIN_PEG_SPACING.
+         */
+        function resize(availableWidth = Infinity) {
+            const geometry = engine.geometry;
+            scale = Math.max(MIN_PEG_SPACING / geometry.pegSpacingX, Math.min(1, availableWidth / geometry.width));
+            pixelRatio = root.devicePixelRatio || 1;
+            canvas.width = Math.round(geometry.width * scale * pixelRatio);
+            canvas.height = Math.round(geometry.height * scale * pixelRatio);
+            canvas.style.width = geometry.width * scale + 'px';
+            // Set CSS max-width to ensure canvas doesn't exceed its calculated width.
+            canvas.style.maxWidth = geometry.width * scale + 'px';
+        }
+
+        /**
+         * Converts a length in pixels of the drawing in progress to board units.
+         * @param {number} length - The length in pixels.
+         * @returns {number} The length in board units.
+         */
+        function pixels(length) {
+            return length / drawScale;
+        }
+
+        /**
+         * Draws all pegs on the canvas, and in edit mode the outlines of the layout's removed pegs.
+         */
+        function drawPegs() {
+            ctx.fillStyle = PEG_COLOR;
+            engine.pegs.forEach(peg => {
+                ctx.beginPath();
+                ctx.arc(peg.x, peg.y, peg.radius, 0, Math.PI * 2); // Draw a circle for each peg.
+                ctx.fill();
+            });
+
+            const layout = engine.config.layout;
+            if (!renderOptions.editMode || !layout) return;
+            ctx.save();
+            ctx.strokeStyle = HOLE_COLOR;
+            ctx.lineWidth = Math.max(pixels(1), 1);
+            (layout.holes || []).forEach(hole => {
+                const position = engine.latticeToBoard(hole.x, hole.y);
+                ctx.beginPath();
+                ctx.arc(position.x, position.y, engine.geometry.pegRadius, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Formats a probability as a short percentage for the peg overlay.
+         * @param {number} value - The probability.
+         * @returns {string} E.g. "25%", "3.1%" or "<0.1%".
+         */
+        function formatShare(value) {
+            if (value > 0 && value < 0.001) return '<0.1%';
+            return (value * 100).toFixed(value < 0.1 ? 1 : 0) + '%';
+        }
+
+        /**
+         * Shades every peg by the number of balls that hit it, relative to the most hit peg of its row, so the
+         * observed traffic can be compared row by row. Drawn beneath the pegs.
+         */
+        function drawPegTraffic() {
+            const maxHitsByRow = [];
+            engine.pegs.forEach(peg => { maxHitsByRow[peg.row] = Math.max(maxHitsByRow[peg.row] || 0, peg.hits); });
+            const geometry = engine.geometry;
+            const haloRadius = Math.min(geometry.pegSpacingX, geometry.pegSpacingY) * 0.45;
+            engine.pegs.forEach(peg => {
+                if (peg.hits === 0) return;
+                const opacity = 0.6 * peg.hits / maxHitsByRow[peg.row];
+                ctx.fillStyle = 'rgba(' + TRAFFIC_COLOR_RGB + ', ' + opacity.toFixed(3) + ')';
+                ctx.beginPath();
+                ctx.arc(peg.x, peg.y, haloRadius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        /**
+         * Computes the expected share of a row's balls that meet each of its pegs. Balls dropped above the top peg
+         * meet peg col with probability C(row, col) p^col (1 - p)^(row - col); balls dropped off the center meet
+         * the triangle at the edge peg of a lower row (see the engine's getDropPosition()), so a row shares its
+         * balls among the drop positions that reach it, by their weights.
+         * @param {number} row - The row.
+         * @returns {number[]|null} The expected share of each peg of the row, from the left, or null if no drop
+         *          position reaches the row.
+         */
+        function getArrivalShares(row) {
+            const { bias, sources } = engine.config;
+            const shares = new Array(row + 1).fill(0);
+            let reachingWeight = 0;
+            (sources || [{ offset: 0, weight: 1 }]).forEach(({ offset, weight }) => {
+                const firstRow = 2 * Math.abs(offset);
+                if (firstRow > row) return;
+                const firstCol = offset > 0 ? firstRow : 0;
+                reachingWeight += weight;
+                for (let k = 0; k <= row - firstRow; k++) {
+                    shares[firstCol + k] += weight * binomialProbability(row - firstRow, k, bias);
+                }
+            });
+            return reachingWeight > 0 ? shares.map(share => share / reachingWeight) : null;
+        }
+
+        /**
+         * Labels the pegs of the triangle with their Pascal's triangle entry C(row, col), or with their expected
+         * share of the row's balls above and the observed share of their row's hits below. Custom layouts are not
+         * labelled, since their pegs are not a row of Bernoulli trials, and neither are the shares of sums of other
+         * draws, which do not use the pegs.
+         */
+        function drawPegLabels() {
+            const config = engine.config;
+            if (config.layout) return;
+            if (renderOptions.pegOverlay === 'probability' && config.distribution !== 'bernoulli') return;
+            const rowHits = [];
+            const rowShares = [];
+            engine.pegs.forEach(peg => { rowHits[peg.row] = (rowHits[peg.row] || 0) + peg.hits; });
+            ctx.font = Math.max(pixels(7), 9) + 'px Arial';
+            ctx.textAlign = 'center';
+            engine.pegs.forEach(peg => {
+                ctx.fillStyle = PEG_COLOR;
+                ctx.textBaseline = 'bottom';
+                if (renderOptions.pegOverlay === 'paths') {
+                    const paths = binomialCoefficient(peg.row, peg.col);
+                    ctx.fillText(paths < 1e5 ? String(paths) : paths.toExponential(1), peg.x, peg.y - peg.radius - 1);
+                    return;
+                }
+                if (rowShares[peg.row] === undefined) rowShares[peg.row] = getArrivalShares(peg.row);
+                if (!rowShares[peg.row]) return; // Balls only meet the triangle further down.
+                ctx.fillText(formatShare(rowShares[peg.row][peg.col]), peg.x, peg.y - peg.radius - 1);
+                if (rowHits[peg.row] > 0) {
+                    ctx.fillStyle = OBSERVED_COLOR;
+                    ctx.textBaseline = 'top';
+                    ctx.fillText(formatShare(peg.hits / rowHits[peg.row]), peg.x, peg.y + peg.radius + 1);
+                }
+            });
+        }
+
+        /**
+         * Draws all active (non-settled, non-landed) balls on the canvas.
+         * Balls that are settling or have landed are not drawn individually;
+         * their presence is represented by the bin fill level.
+         * @param {number} alpha - Fraction of a physics step elapsed since the last step (0 to 1);
+         *                         balls are drawn between their previous and current positions.
+         */
+        function drawBalls(alpha) {
+            ctx.fillStyle = BALL_COLOR;
+            engine.balls.forEach(ball => {
+                // Do not draw balls that have landed or are in the process of settling.
+                if (ball.landed || ball.isSettling) return;
+
+                const x = ball.prevX + (ball.x - ball.prevX) * alpha;
+                const y = ball.prevY + (ball.y - ball.prevY) * alpha;
+                ctx.beginPath();
+                ctx.arc(x, y, ball.radius, 0, Math.PI * 2); // Draw a circle for each ball.
+                ctx.fill();
+            });
+        }
+
+        /**
+         * Returns the ball count that corresponds to a completely filled bin.
+         * This is the bin capacity, unless a bin holds more balls than that (e.g. after an instant run,
+         * which ignores capacities); then the bars are scaled down so the fullest bin just fills up.
+         * @returns {number} The count drawn at full bin height.
+         */
+        function getFullBarCount() {
+            return engine.bins.reduce((max, bin) => Math.max(max, bin.maxCapacity, bin.count), 0);
+        }
+
+        /**
+         * Draws the bins and the visual representation of balls collected in them.
+         * When the engine stacks balls, the balls resting in each bin are drawn where they lie; bins whose balls
+         * were not simulated (instant or imported runs) fall back to a fill bar.
+         * Also displays the count of balls in each bin.
+         */
+        function drawBins() {
+            const fullBarCount = getFullBarCount();
+            const stackBalls = engine.config.stackBalls;
+            ctx.strokeStyle = BIN_COLOR; // Color for bin outlines.
+
+            engine.bins.forEach(bin => {
+                // Draw bin outline.
+                ctx.beginPath();
+                ctx.rect(bin.x, bin.y, bin.width, bin.height);
+                ctx.stroke();
+
+                if (stackBalls && bin.stack.length === bin.count) {
+                    // Draw the pile of balls resting in the bin.
+                    ctx.fillStyle = BALL_COLOR;
+                    bin.stack.forEach(ball => {
+                        ctx.beginPath();
+                        ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+                        ctx.fill();
+                    });
+                } else if (bin.count > 0 && fullBarCount > 0) {
+                    // Calculate the height of the bar representing collected balls.
+                    const barFillHeight = (bin.count / fullBarCount) * bin.height;
+                    ctx.fillStyle = BALL_COLOR; // Use ball color for the fill.
+                    ctx.fillRect(
+                        bin.x + 1, // Small offset for visual padding.
+                        // Y-position of the top of the fill bar.
+                        bin.y + bin.height - Math.min(barFillHeight, bin.height - 1),
+                        bin.width - 2, // Reduce width slightly for padding.
+                        // Actual height of the fill bar, capped at bin height.
+                        Math.min(barFillHeight, bin.height - 1)
+                    );
+                }
+
+                // Draw the count of balls above each bin.
+                ctx.fillStyle = '#333'; // Text color.
+                ctx.font = Math.max(pixels(8), 10) + 'px Arial'; // At least 8 pixels high on a shrunk board.
+                ctx.textAlign = 'center';
+                ctx.fillText(bin.count, bin.x + bin.width / 2, bin.y - 5); // Position text above bin.
+            });
+        }
+
+        /**
+         * Draws the theoretical distribution on top of the bins, scaled to the same axis as the fill bars.
+         * Each bin gets a marker at its expected count N * P(k), where P is the binomial C(n, k) * p^k * (1 - p)^(n - k)
+         * on the plain board and the matching distribution for other drop positions or draws (see the engine's
+         * sources and distribution), and a curve shows the normal approximation with the same mean and variance.
+         * N is the number of balls collected so far, so the overlay can be compared with the bars at any moment
+         * of a run.
+         */
+        function drawTheoryOverlay() {
+            const bins = engine.bins;
+            if (!renderOptions.showTheory || bins.length === 0) return;
+
+            const totalCount = bins.reduce((sum, bin) => sum + bin.count, 0);
+            if (totalCount === 0) return; // Nothing to compare against yet.
+
+            const config = engine.config;
+            // Expected share of each bin: binomial on the plain board, for the rows a ball passes through.
+            const probabilities = binProbabilities(bins.length - 1, config.bias, config.distribution, config.sources,
+                                                  DRAW_PARAMETERS);
+            const binWidth = bins[0].width;
+            const binsBottomY = bins[0].y + bins[0].height;
+            const fullBarCount = getFullBarCount();
+            // Convert an expected count to a bar height, capped at the bin height like the fill bars.
+            const countToHeight = (count, bin) => Math.min((count / fullBarCount) * bin.height, bin.height - 1);
+
+            ctx.save();
+            ctx.strokeStyle = THEORY_COLOR;
+            ctx.fillStyle = THEORY_COLOR;
+            ctx.lineWidth = Math.max(pixels(1), 2);
+
+            // Expected count per bin, drawn as a short horizontal marker with a dot in the middle.
+            bins.forEach((bin, k) => {
+                const expectedY = binsBottomY - countToHeight(totalCount * probabilities[k], bin);
+                ctx.beginPath();
+                ctx.moveTo(bin.x + bin.width * 0.2, expectedY);
+                ctx.lineTo(bin.x + bin.width * 0.8, expectedY);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(bin.x + bin.width / 2, expectedY, 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            // Normal approximation with the same mean and variance, N(np, np(1 - p)) on the plain board, sampled
+            // every couple of pixels across the bins.
+            const { mean, variance } = distributionMoments(probabilities);
+            const sd = Math.sqrt(variance);
+            if (sd > 0) {
+                const leftX = bins[0].x;
+                const rightX = bins[bins.length - 1].x + binWidth;
+                ctx.lineWidth = Math.max(pixels(1), 1.5);
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                for (let x = leftX; x <= rightX; x += 2) {
+                    const k = (x - leftX) / binWidth - 0.5; // Continuous bin index; bin k is centered at k + 0.5 widths.
+                    const y = binsBottomY - countToHeight(totalCount * normalDensity(k, mean, sd), bins[0]);
+                    if (x === leftX) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                }
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Computes the points of a ball's recorded path: the drop position, then for every peg it hit the
+         * top of the peg and the side it rolled off to, and finally the bottom of its bin.
+         * @param {object} ball - A ball or ball record with a path (see the engine's ball objects).
+         * @returns {Array<{x: number, y: number, direction: (string|undefined)}>} The path points. Points on
+         *          top of a peg carry the direction ('L' or 'R') the peg sent the ball.
+         */
+        function getBallPathPoints(ball) {
+            const ballRadius = engine.geometry.ballRadius;
+            const points = [engine.getDropPosition(ball.dropOffset || 0)];
+            ball.path.forEach(hit => {
+                const peg = engine.pegs[hit.pegIndex];
+                if (!peg) return;
+                const side = hit.direction === 'R' ? 1 : -1;
+                const contactDistance = peg.radius + ballRadius;
+                points.push({ x: peg.x, y: peg.y - contactDistance, direction: hit.direction });
+                points.push({ x: peg.x + side * contactDistance, y: peg.y });
+            });
+            const bin = ball.binIndex === null ? null : engine.bins[ball.binIndex];
+            if (bin && bin.stack.indexOf(ball) !== -1) {
+                points.push({ x: ball.x, y: ball.y }); // The ball's place in the pile.
+            } else if (bin) {
+                points.push({ x: bin.x + bin.width / 2, y: bin.y + bin.height - ballRadius });
+            }
+            return points;
+        }
+
+        /**
+         * Traces a polyline through path points, up to a fractional number of segments.
+         * @param {Array<{x: number, y: number}>} points - The path points.
+         * @param {number} [segments=Infinity] - How many segments to trace; a fraction ends part-way along a segment.
+         * @returns {{x: number, y: number}} The point where the traced line ends.
+         */
+        function tracePath(points, segments = Infinity) {
+            const lastSegment = Math.min(segments, points.length - 1);
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            let end = points[0];
+            for (let i = 1; i <= Math.ceil(lastSegment); i++) {
+                const from = points[i - 1];
+                const to = points[i];
+                const t = Math.min(1, lastSegment - (i - 1));
+                end = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+                ctx.lineTo(end.x, end.y);
+            }
+            return end;
+        }
+
+        /**
+         * Highlights the selected bin and draws the paths of the balls that landed in it.
+         * The more paths there are, the fainter each one is drawn, so frequently used routes stand out.
+         */
+        function drawHighlightedPaths() {
+            const bin = renderOptions.highlightBin === null ? null : engine.bins[renderOptions.highlightBin];
+            if (!bin) return;
+
+            ctx.save();
+            const binBalls = engine.balls.filter(ball => ball.binIndex === renderOptions.highlightBin && ball.path.length > 0);
+            const shownBalls = binBalls.slice(-MAX_HIGHLIGHTED_PATHS);
+            const alpha = Math.max(0.05, Math.min(0.8, 2 / Math.sqrt(shownBalls.length)));
+            ctx.strokeStyle = 'rgba(' + PATH_COLOR_RGB + ', ' + alpha + ')';
+            ctx.lineWidth = Math.max(pixels(1), 2);
+            ctx.lineJoin = 'round';
+            shownBalls.forEach(ball => {
+                tracePath(getBallPathPoints(ball));
+                ctx.stroke();
+            });
+
+            // Outline the selected bin.
+            ctx.strokeStyle = 'rgb(' + PATH_COLOR_RGB + ')';
+            ctx.lineWidth = Math.max(pixels(2), 3);
+            ctx.strokeRect(bin.x, bin.y, bin.width, bin.height);
+            ctx.restore();
+        }
+
+        /**
+         * Draws the ball being replayed: its path so far, the ball itself, and the L/R direction
+         * chosen at every peg it has reached.
+         */
+        function drawReplay() {
+            const replay = renderOptions.replay;
+            if (!replay) return;
+            const geometry = engine.geometry;
+            const points = getBallPathPoints(replay.ball);
+
+            ctx.save();
+            // The whole path, faintly, so students can see where the ball is heading.
+            ctx.strokeStyle = REPLAY_COLOR;
+            ctx.globalAlpha = 0.25;
+            ctx.lineWidth = Math.max(pixels(1), 2);
+            ctx.setLineDash([4, 4]);
+            tracePath(points);
+            ctx.stroke();
+
+            // The part already travelled, and the ball at its current position.
+            ctx.globalAlpha = 1;
+            ctx.setLineDash([]);
+            ctx.lineWidth = Math.max(pixels(1.5), 3);
+            const position = tracePath(points, replay.progress);
+            ctx.stroke();
+            ctx.fillStyle = REPLAY_COLOR;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, geometry.ballRadius * 1.2, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Label every peg the ball has reached with the direction it took there.
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = 'center';
+            points.forEach((point, i) => {
+                if (point.direction && i <= replay.progress) {
+                    ctx.fillText(point.direction, point.x, point.y - geometry.ballRadius - 2);
+                }
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Finds the bin at a point on the board, including the count label above it.
+         * @param {number} x - Horizontal board coordinate.
+         * @param {number} y - Vertical board coordinate.
+         * @returns {number|null} The index of the bin, or null if there is no bin at that point.
+         */
+        function getBinAt(x, y) {
+            const labelSpace = 15;
+            const index = engine.bins.findIndex(bin =>
+                x >= bin.x && x < bin.x + bin.width && y >= bin.y - labelSpace && y <= bin.y + bin.height);
+            return index === -1 ? null : index;
+        }
+
+        /**
+         * Converts a mouse or touch position to board coordinates, accounting for the scale the board is drawn
+         * at and for the canvas being scaled down further by CSS on narrow screens.
+         * @param {number} clientX - Horizontal position in the viewport.
+         * @param {number} clientY - Vertical position in the viewport.
+         * @returns {{x: number, y: number}} The position on the board.
+         */
+        function toBoardPoint(clientX, clientY) {
+            const rect = canvas.getBoundingClientRect();
+            const scaleX = rect.width > 0 ? engine.geometry.width / rect.width : 1;
+            const scaleY = rect.height > 0 ? engine.geometry.height / rect.height : 1;
+            return { x: (clientX - rect.left) * scaleX, y: (clientY - rect.top) * scaleY };
+        }
+
+        /**
+         * Draws the whole board on the current context: pegs, moving balls, bins and overlays.
+         * @param {number} alpha - Fraction of a physics step elapsed since the last step.
+         */
+        function drawBoard(alpha) {
+            if (renderOptions.pegOverlay) drawPegTraffic();
+            drawPegs();
+            if (renderOptions.pegOverlay) drawPegLabels();
+            drawHighlightedPaths();
+            drawBalls(alpha);
+            drawBins();
+            drawTheoryOverlay();
+            drawReplay();
+        }
+
+        /**
+         * Clears the canvas and draws the whole board: pegs, moving balls, bins and overlays.
+         * @param {number} [alpha=1] - Fraction of a physics step elapsed since the last step, for smooth
+         *                             motion when the display rate differs from the physics rate.
+         */
+        function render(alpha = 1) {
+            ctx.setTransform(pixelRatio * scale, 0, 0, pixelRatio * scale, 0, 0); // Draw in board units.
+            drawScale = scale;
+            ctx.clearRect(0, 0, engine.geometry.width, engine.geometry.height);
+            drawBoard(alpha);
+        }
+
+        /**
+         * Draws the board, as render() would, on another context, e.g. of an offscreen canvas for an image export
+         * at a resolution of its own, or an SVG context (svg-context.js). The board's canvas is left unchanged.
+         * @param {CanvasRenderingContext2D|object} context - The context to draw on.
+         * @param {number} [scale=1] - Context pixels per board unit.
+         * @param {string|null} [background=null] - Color filled in behind the board; null leaves it transparent.
+         */
+        function renderTo(context, scale = 1, background = null) {
+            const boardContext = ctx;
+            const boardScale = drawScale;
+            ctx = context;
+            drawScale = scale;
+            try {
+                ctx.setTransform(scale, 0, 0, scale, 0, 0);
+                if (background) {
+                    ctx.fillStyle = background;
+                    ctx.fillRect(0, 0, engine.geometry.width, engine.geometry.height);
+                } else {
+                    ctx.clearRect(0, 0, engine.geometry.width, engine.geometry.height);
+                }
+                drawBoard(1);
+            } finally {
+                ctx = boardContext;
+                drawScale = boardScale;
+            }
+        }
+
+        return {
+            options: renderOptions,
+            resize,
+            render,
+            renderTo,
+            getBallPathPoints,
+            getBinAt,
+            toBoardPoint
+        };
+    }
+
+    root.createBoardRenderer = createBoardRenderer;
+}(typeof self !== 'undefined' ? self : this));
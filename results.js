@@ -0,0 +1,219 @@
+/**
+ * Export and import of Galton board run results.
+ * Converts a run's configuration, bin counts and per-ball records to JSON and CSV, and reads exported
+ * JSON back. Works as a plain browser script (exposed as the global `GaltonResults`, loaded after layouts.js
+ * and limits.js) and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./layouts.js'), require('./limits.js'));
+    } else {
+        root.GaltonResults = factory(root.GaltonLayouts, root.GaltonLimits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (layouts, limits) {
+    'use strict';
+
+    const FORMAT = 'galton-board-run'; // Identifies exported JSON files.
+    const VERSION = 1; // Version of the exported JSON layout.
+
+    /**
+     * Collects everything about a run into one exportable object.
+     * @param {object} run - The run to describe.
+     * @param {object} run.settings - Run configuration: rows, balls, binCapacity, overflowPolicy, seed, bias, instant,
+     *                                stackBalls, ballCollisions, layout (the name of the peg layout's preset),
+     *                                distribution (the draw per row) and dropSources (the drop positions in the form of
+     *                                the page's input, e.g. "-2:1, 2:3").
+     * @param {object} run.physics - Physics constants the run used.
+     * @param {number[]} run.counts - Number of balls in each bin.
+     * @param {Array<object>} run.ballRecords - Per-ball records from the engine's getBallRecords().
+     * @param {object|null} [run.layout] - The board's peg layout (see layouts.js), or null for the triangle.
+     * @returns {object} The run result, ready for toJSON(), binsToCSV() and ballsToCSV().
+     */
+    function createRunResult(run) {
+        const result = {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: Object.assign({}, run.settings),
+            physics: Object.assign({}, run.physics),
+            counts: run.counts.slice(),
+            balls: run.ballRecords.map(record => ({
+                index: record.index,
+                dropTime: record.dropTime,
+                dropOffset: record.dropOffset || 0,
+                binIndex: record.binIndex,
+                lost: record.lost,
+                overflowed: record.overflowed,
+                path: (record.path || []).map(hit => ({
+                    pegIndex: hit.pegIndex,
+                    row: hit.row,
+                    col: hit.col,
+                    direction: hit.direction
+                }))
+            }))
+        };
+        if (run.layout) {
+            result.layout = {
+                preset: run.layout.preset,
+                pegs: run.layout.pegs.map(peg => ({ x: peg.x, y: peg.y })),
+                holes: (run.layout.holes || []).map(hole => ({ x: hole.x, y: hole.y }))
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Serializes a run result as JSON.
+     * @param {object} result - A run result from createRunResult().
+     * @returns {string} Indented JSON text.
+     */
+    function toJSON(result) {
+        return JSON.stringify(result, null, 2);
+    }
+
+    /**
+     * Writes the settings and physics constants as CSV comment lines, so that notebooks can skip them
+     * (e.g. pandas.read_csv(..., comment='#')) while the file still documents how it was produced.
+     * @param {object} result - A run result from createRunResult().
+     * @returns {string[]} The comment lines.
+     */
+    function describeRunAsComments(result) {
+        const lines = ['# Galton board run exported at ' + result.exportedAt];
+        Object.keys(result.settings).forEach(key => {
+            lines.push('# ' + key + ': ' + result.settings[key]);
+        });
+        Object.keys(result.physics).forEach(key => {
+            lines.push('# physics.' + key + ': ' + result.physics[key]);
+        });
+        return lines;
+    }
+
+    /**
+     * Serializes the per-bin counts of a run as CSV.
+     * @param {object} result - A run result from createRunResult().
+     * @returns {string} CSV text with the columns bin and count, preceded by comment lines describing the run.
+     */
+    function binsToCSV(result) {
+        const lines = describeRunAsComments(result);
+        lines.push('bin,count');
+        result.counts.forEach((count, i) => lines.push(i + ',' + count));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Serializes the per-ball records of a run as CSV.
+     * @param {object} result - A run result from createRunResult().
+     * @returns {string} CSV text with the columns ball, drop_time, bin, lost, overflowed and path, preceded by
+     *                   comment lines describing the run. The bin is empty for balls that did not land in a bin;
+     *                   the path is the sequence of bounce directions at the pegs the ball hit, e.g. "LRRL".
+     */
+    function ballsToCSV(result) {
+        const lines = describeRunAsComments(result);
+        lines.push('ball,drop_time,bin,lost,overflowed,path');
+        result.balls.forEach(ball => {
+            lines.push([
+                ball.index,
+                ball.dropTime.toFixed(4),
+                ball.binIndex === null ? '' : ball.binIndex,
+                ball.lost,
+                ball.overflowed,
+                ball.path.map(hit => hit.direction).join('')
+            ].join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Checks that a value is a whole number that is at least zero.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True if the value is a non-negative integer.
+     */
+    function isCount(value) {
+        return Number.isInteger(value) && value >= 0;
+    }
+
+    /**
+     * Parses and validates an exported JSON run result.
+     * @param {string} text - JSON text produced by toJSON().
+     * @returns {object} The run result.
+     * @throws {Error} If the text is not a valid exported run; the message says what is wrong.
+     */
+    function parseRunResult(text) {
+        let result;
+        try {
+            result = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!result || result.format !== FORMAT) {
+            throw new Error('The file is not an exported Galton board run.');
+        }
+        if (result.version !== VERSION) {
+            throw new Error('Unsupported file version ' + result.version + '.');
+        }
+        const settings = result.settings || {};
+        if (!Number.isInteger(settings.rows) || settings.rows < 1) {
+            throw new Error('The number of rows is missing or invalid.');
+        }
+        // The settings must be in the ranges the page accepts; the balls and the capacity have theirs per mode.
+        const settingParameters = {
+            rows: 'rows',
+            balls: settings.instant ? 'instantBalls' : 'balls',
+            binCapacity: settings.stackBalls ? 'stackedBinCapacity' : 'binCapacity',
+            seed: 'seed',
+            bias: 'bias'
+        };
+        Object.keys(settingParameters).forEach(key => {
+            const value = settings[key];
+            if (value === undefined || (key === 'balls' && value === 0)) return; // Exported before any run, no balls.
+            const message = limits.checkParameter(settingParameters[key], value);
+            if (message) {
+                throw new Error('The settings are invalid: ' + message);
+            }
+        });
+        let layout;
+        if (result.layout !== undefined) {
+            try {
+                layout = layouts.validateLayout(result.layout); // Accepts what loading a saved layout accepts.
+            } catch (error) {
+                throw new Error('The peg layout is invalid: ' + error.message);
+            }
+            result.layout = layout;
+        }
+        const countsValid = Array.isArray(result.counts) && result.counts.length > 0 && result.counts.every(isCount);
+        // A custom layout sets its own number of bins, which the engine checks when the run is restored.
+        if (layout && !countsValid) {
+            throw new Error('The bin counts are invalid.');
+        }
+        if (!layout && (!countsValid || result.counts.length !== settings.rows + 1)) {
+            throw new Error('Expected ' + (settings.rows + 1) + ' bin counts for ' + settings.rows + ' rows.');
+        }
+        const binCount = result.counts.length;
+        const balls = result.balls || [];
+        // Pegs on the board: those of the layout, or of the triangle.
+        const pegCount = layout ? layout.pegs.length : settings.rows * (settings.rows + 1) / 2;
+        const isPegHit = hit => hit && isCount(hit.pegIndex) && hit.pegIndex < pegCount &&
+            isCount(hit.row) && isCount(hit.col) && (hit.direction === 'L' || hit.direction === 'R');
+        const ballsValid = Array.isArray(balls) && balls.every(ball =>
+            ball && isCount(ball.index) && typeof ball.dropTime === 'number' &&
+            (ball.dropOffset === undefined || Number.isInteger(ball.dropOffset)) &&
+            (ball.binIndex === null || (isCount(ball.binIndex) && ball.binIndex < binCount)) &&
+            typeof ball.lost === 'boolean' && typeof ball.overflowed === 'boolean' &&
+            (ball.path === undefined || (Array.isArray(ball.path) && ball.path.every(isPegHit))));
+        if (!ballsValid) {
+            throw new Error('The ball records are invalid.');
+        }
+        balls.forEach(ball => { ball.path = ball.path || []; });
+        result.balls = balls;
+        result.physics = result.physics || {};
+        return result;
+    }
+
+    return {
+        createRunResult,
+        toJSON,
+        binsToCSV,
+        ballsToCSV,
+        parseRunResult
+    };
+}));
@@ -1,577 +1,1702 @@
 document.addEventListener('DOMContentLoaded', () => {
+    const { createGaltonEngine, createFrameClock, getDropInterval, FIXED_TIME_STEP, MAX_FRAME_TIME, OVERFLOW_POLICIES,
+            DRAW_DISTRIBUTIONS, DRAW_PARAMETERS, PHYSICS, PHYSICS_PRESETS } = GaltonEngine;
+    const { MIN_EXPECTED_PER_GROUP, sampleMoments, binProbabilities, binMoments, chiSquareTest } = GaltonStats;
+    const { createRunResult, toJSON, binsToCSV, ballsToCSV, parseRunResult } = GaltonResults;
+    const { LAYOUT_PRESETS, createPresetLayout, getLayoutRowCount, layoutToJSON, validateLayout, parseLayout } = GaltonLayouts;
+    const { PARAMETER_LIMITS, PARAMETER_DEFAULTS, checkParameter, isWithinLimits } = GaltonLimits;
+    const { createSvgContext } = GaltonSvg;
+
     // DOM element references
     const canvas = document.getElementById('galtonBoardCanvas');
-    const ctx = canvas.getContext('2d');
     const numRowsInput = document.getElementById('numRows');
     const numBallsInput = document.getElementById('numBalls');
     const startButton = document.getElementById('startButton');
     const resetButton = document.getElementById('resetButton');
+    const pauseButton = document.getElementById('pauseButton');
+    const stepButton = document.getElementById('stepButton');
+    const speedInput = document.getElementById('speed');
+    const speedOutput = document.getElementById('speedValue');
     const binCapacityInput = document.getElementById('binCapacity');
+    const overflowPolicyInput = document.getElementById('overflowPolicy');
+    const seedInput = document.getElementById('seed');
+    const biasInput = document.getElementById('bias');
+    const showTheoryInput = document.getElementById('showTheory');
+    const instantModeInput = document.getElementById('instantMode');
+    const stackBallsInput = document.getElementById('stackBalls');
+    const ballCollisionsInput = document.getElementById('ballCollisions');
+    const exportJsonButton = document.getElementById('exportJsonButton');
+    const exportBinsCsvButton = document.getElementById('exportBinsCsvButton');
+    const exportBallsCsvButton = document.getElementById('exportBallsCsvButton');
+    const importJsonButton = document.getElementById('importJsonButton');
+    const importFileInput = document.getElementById('importFile');
+    const statsTableBody = document.getElementById('statsTableBody');
+    const fitResultElement = document.getElementById('fitResult');
+    const ballTallyElement = document.getElementById('ballTally');
+    const sampleHeadingElement = document.getElementById('sampleHeading');
+    const theoryHeadingElement = document.getElementById('theoryHeading');
+    const pathSummaryElement = document.getElementById('pathSummary');
+    const pathSequenceElement = document.getElementById('pathSequence');
+    const replayButton = document.getElementById('replayButton');
+    const clearPathsButton = document.getElementById('clearPathsButton');
+    const layoutPresetInput = document.getElementById('layoutPreset');
+    const editPegsInput = document.getElementById('editPegs');
+    const saveLayoutButton = document.getElementById('saveLayoutButton');
+    const loadLayoutButton = document.getElementById('loadLayoutButton');
+    const layoutFileInput = document.getElementById('layoutFile');
+    const pegOverlayInput = document.getElementById('pegOverlay');
+    const copyLinkButton = document.getElementById('copyLinkButton');
+    const imageWidthInput = document.getElementById('imageWidth');
+    const exportPngButton = document.getElementById('exportPngButton');
+    const exportSvgButton = document.getElementById('exportSvgButton');
+    const recordRunInput = document.getElementById('recordRun');
+    const physicsPresetInput = document.getElementById('physicsPreset');
+    const resetPhysicsButton = document.getElementById('resetPhysicsButton');
+    const drawDistributionInput = document.getElementById('drawDistribution');
+    const dropSourcesInput = document.getElementById('dropSources');
+    const compareModeInput = document.getElementById('compareMode');
+    const compareControls = document.getElementById('compareControls');
+    const compareRowsInput = document.getElementById('compareRows');
+    const compareBiasInput = document.getElementById('compareBias');
+    const compareBallsInput = document.getElementById('compareBalls');
+    const compareCapacityInput = document.getElementById('compareCapacity');
+    const comparePhysicsInput = document.getElementById('comparePhysics');
+    const compareCanvas = document.getElementById('compareCanvas');
+    const comparePanel = document.getElementById('comparePanel');
+    const compareChartCanvas = document.getElementById('compareChart');
+    const compareSummaryElement = document.getElementById('compareSummary');
+    const compareBallTallyElement = document.getElementById('compareBallTally');
+    const compareFitResultElement = document.getElementById('compareFitResult');
+    const liveStatusElement = document.getElementById('liveStatus');
+    const keyboardShortcutsInput = document.getElementById('keyboardShortcuts');
+    const binTableBody = document.getElementById('binTableBody');
+
+    // Inputs of the advanced physics panel and the engine's physics constant each one sets.
+    // Their accepted ranges are in PARAMETER_LIMITS under the same keys.
+    const PHYSICS_CONTROLS = [
+        { key: 'gravity', input: document.getElementById('gravity') },
+        { key: 'bounceFactor', input: document.getElementById('bounceFactor') },
+        { key: 'horizontalBump', input: document.getElementById('horizontalBump') },
+        { key: 'minBounceSpeed', input: document.getElementById('minBounceSpeed') },
+        { key: 'wallDamping', input: document.getElementById('wallDamping') },
+        { key: 'ballRadius', input: document.getElementById('ballRadius') },
+        { key: 'pegRadius', input: document.getElementById('pegRadius') }
+    ];
 
-    // --- Base Configuration (Default values for an unscaled Galton board design) ---
-    // These constants define the initial dimensions and appearance of the board elements
-    // before any scaling is applied based on canvas size.
-    let NUM_ROWS = parseInt(numRowsInput.value); // Number of peg rows, dynamically updated.
-    const BASE_PEG_RADIUS = 6; // Default radius of a single peg.
-    const BASE_BALL_RADIUS = 5; // Default radius of a single ball.
-    const BASE_PEG_SPACING_X = 40; // Default horizontal distance between centers of adjacent pegs.
-    const BASE_PEG_SPACING_Y = 30; // Default vertical distance between centers of peg rows.
-    const BASE_START_Y_OFFSET = 30; // Default vertical offset from the canvas top to the first peg row.
-    const BASE_DRAWN_BIN_HEIGHT = 60; // Default visual height of the bins.
-    const BASE_SPACE_BELOW_PEGS = BASE_PEG_SPACING_Y; // Default vertical space between the last peg row and the top of the bins.
-    const BASE_BOTTOM_PADDING = 40; // Default padding at the very bottom of the canvas.
-
-    // --- Physics Constants ---
-    // These constants control the behavior of balls during the simulation.
-    // Values are fine-tuned to achieve a visually plausible simulation.
-    const BALL_COLOR = '#2980b9'; // Color for the balls.
-    const PEG_COLOR = '#34495e'; // Color for the pegs.
-    const BIN_COLOR = '#7f8c8d'; // Color for the bin outlines.
-    const GRAVITY = 0.15; // Acceleration due to gravity, affecting ball's vertical speed.
-    const BOUNCE_FACTOR = 0.1; // Coefficient of restitution for ball collisions (lower value means less bounce).
-    const HORIZONTAL_BUMP = 1.5; // Magnitude of horizontal velocity change upon hitting a peg.
-
-    // --- Scalable Configuration (Dynamically adjusted based on canvas size and NUM_ROWS) ---
-    // These variables store the current, scaled dimensions and properties of board elements.
-    // They are recalculated when the canvas is resized or NUM_ROWS changes.
-    let currentPegSpacingX = BASE_PEG_SPACING_X;
-    let currentPegSpacingY = BASE_PEG_SPACING_Y;
-    let currentStartYOffset = BASE_START_Y_OFFSET;
-    let currentPegRadius = BASE_PEG_RADIUS;
-    let currentBallRadius = BASE_BALL_RADIUS;
-    let currentDrawnBinHeight = BASE_DRAWN_BIN_HEIGHT;
-    let currentSpaceBelowPegs = BASE_SPACE_BELOW_PEGS;
-    let currentBottomPadding = BASE_BOTTOM_PADDING;
-    let scaleFactor = 1; // Factor by which base dimensions are scaled.
+    // Canvas layout constants
+    const CANVAS_MARGIN_LEFT = 10; // Left margin for the canvas within the viewport.
+    const CANVAS_MARGIN_RIGHT = 10; // Right margin for the canvas within the viewport.
+    const PANEL_PADDING = 40; // Horizontal padding of the comparison panel around its chart.
+
+    // Animation timing constants
+    const REPLAY_SEGMENTS_PER_SECOND = 1.5; // Speed of a path replay, in path segments per real second.
+
+    // Peg editor constants
+    const MAX_LAYOUT_ROWS = PARAMETER_LIMITS.rows.max; // Deepest row a peg can be dragged to.
+    const LAYOUT_SNAP = 0.25; // Dragged pegs snap to this fraction of a peg spacing, so they line up easily.
+    const DRAG_THRESHOLD = 3; // Pixels the pointer must move before a press on a peg becomes a drag.
+
+    // Controls whose values are kept in the page URL, so that a setup can be shared as a link.
+    // Each entry maps a query parameter to its input; values equal to the page's defaults are left out.
+    const URL_CONTROLS = [
+        { param: 'rows', input: numRowsInput },
+        { param: 'balls', input: numBallsInput },
+        { param: 'capacity', input: binCapacityInput },
+        { param: 'overflow', input: overflowPolicyInput },
+        { param: 'seed', input: seedInput },
+        { param: 'p', input: biasInput },
+        { param: 'speed', input: speedInput },
+        { param: 'theory', input: showTheoryInput },
+        { param: 'instant', input: instantModeInput },
+        { param: 'stack', input: stackBallsInput },
+        { param: 'collisions', input: ballCollisionsInput },
+        { param: 'layout', input: layoutPresetInput },
+        { param: 'overlay', input: pegOverlayInput },
+        { param: 'draws', input: drawDistributionInput },
+        { param: 'sources', input: dropSourcesInput },
+        { param: 'compare', input: compareModeInput },
+        { param: 'compareRows', input: compareRowsInput },
+        { param: 'compareP', input: compareBiasInput },
+        { param: 'compareBalls', input: compareBallsInput },
+        { param: 'compareCapacity', input: compareCapacityInput },
+        { param: 'comparePhysics', input: comparePhysicsInput },
+        { param: 'shortcuts', input: keyboardShortcutsInput }
+    ].concat(PHYSICS_CONTROLS.map(({ key, input }) => ({ param: key, input: input })));
+    const COPY_FEEDBACK_TIME = 2000; // How long the copy link button shows that the link was copied (ms).
+
+    // Image export and run recording constants
+    const IMAGE_BACKGROUND = '#fff'; // Background of exported images, as behind the board on the page.
+    // Video formats for recordings, in order of preference; the first one the browser can record is used.
+    const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'];
+    const RECORDING_END_HOLD = 1000; // How long a recording keeps showing the final board (ms).
+
+    // Keyboard shortcuts for the run buttons, by key. A shortcut acts like a click, so it does nothing while
+    // its button is disabled. Single keys are easily pressed by accident, e.g. by speech input, so the
+    // "Keyboard shortcuts" checkbox turns them off.
+    const SHORTCUT_BUTTONS = { s: startButton, p: pauseButton, '.': stepButton, r: resetButton };
 
     // Simulation state variables
-    let pegs = []; // Array to store peg objects.
-    let balls = []; // Array to store ball objects.
-    let bins = []; // Array to store bin objects.
     let animationFrameId; // ID for the requestAnimationFrame loop, used to stop the animation.
-    let ballsBeingDropped = 0; // Counter for balls currently in motion and not yet settled.
+    let isRunActive = false; // True from the start of an animated run until it finishes or is reset, also while paused.
+    let isPaused = false; // True while an active run is paused.
+    let simulationSpeed = 1; // Simulated seconds per real second, set by the speed slider.
     let ballsToDropTotal = 0; // Total number of balls to be dropped in the current simulation.
-    let dropIntervalId; // ID for the setInterval used to stagger ball drops.
+    let isInstantRun = false; // True if the current result was sampled in instant mode.
+    const frameClock = createFrameClock(); // Turns the time between animation frames into physics steps.
+    let lastStatsTotal = -1; // Ball total shown in the statistics panel, used to skip redundant updates.
+    let replayFrameId = null; // ID of the requestAnimationFrame loop that animates a path replay.
+    let lastReplayTimestamp = null; // Timestamp of the previous replay frame, in milliseconds.
+    let replayCursor = -1; // Position of the replayed ball among the balls in the selected bin.
+    let boardLayout = null; // Peg layout of the board (see layouts.js), or null for the triangle of numRows rows.
+    let pegDrag = null; // Peg or hole being pressed: { layout, point, isHole, clientX, clientY, moved, edited }.
+    let recorder = null; // MediaRecorder of the run being recorded, or null.
+    let recordingTrack = null; // Video track of the board canvas while a run is recorded; gameLoop() adds its frames.
+
+    // The board inputs start from the defaults that the <galton-board> element shares (see limits.js).
+    [[numRowsInput, 'rows'], [numBallsInput, 'balls'], [binCapacityInput, 'binCapacity'], [biasInput, 'bias'],
+        [compareBiasInput, 'bias'], [compareBallsInput, 'balls'], [compareCapacityInput, 'binCapacity']
+    ].forEach(([input, parameter]) => {
+        input.defaultValue = PARAMETER_DEFAULTS[parameter];
+    });
 
-    // Canvas layout constants
-    const CANVAS_MARGIN_LEFT = 10; // Left margin for the canvas within the viewport.
-    const CANVAS_MARGIN_RIGHT = 10; // Right margin for the canvas within the viewport.
+    // The simulation itself lives in a DOM-free engine (engine.js); this file connects it to the page.
+    // Board A is the main board; board B only takes part in comparison mode. Each board has its own engine,
+    // renderer, ball count input and lines in the statistics panel, and the list of active boards is what the run
+    // controls drive.
+    const engine = createGaltonEngine(readBoardSettings());
+    const renderer = createBoardRenderer(canvas, engine, { showTheory: showTheoryInput.checked });
+    const compareEngine = createGaltonEngine(readCompareSettings());
+    const compareRenderer = createBoardRenderer(compareCanvas, compareEngine, { showTheory: showTheoryInput.checked });
+    const boards = [
+        {
+            name: 'Board A', engine: engine, renderer: renderer, canvas: canvas, ballsInput: numBallsInput,
+            tallyElement: ballTallyElement, fitElement: fitResultElement
+        },
+        {
+            name: 'Board B', engine: compareEngine, renderer: compareRenderer, canvas: compareCanvas,
+            ballsInput: compareBallsInput, tallyElement: compareBallTallyElement, fitElement: compareFitResultElement
+        }
+    ];
+    // Series of the comparison chart; updateComparePanel() keeps their labels in step with the boards.
+    const compareSeries = boards.map(board => ({ engine: board.engine, label: board.name }));
+    const compareChart = createComparisonChart(compareChartCanvas, compareSeries);
 
-    // --- Physics Helper Functions ---
+    /**
+     * Lists the boards that take part in a run: board A, and board B in comparison mode.
+     * @returns {Array<object>} The active boards: name, engine, renderer, canvas, ballsInput (the input of its
+     *          number of balls) and tallyElement and fitElement (its ball tally and goodness-of-fit result).
+     */
+    function getActiveBoards() {
+        return compareModeInput.checked ? boards : boards.slice(0, 1);
+    }
 
     /**
-     * Applies gravity to a ball and updates its position based on its velocity.
-     * @param {object} ball - The ball object to update.
+     * Returns the width each board may take up in the viewport; in comparison mode the boards share it.
+     * @returns {number} The available width in CSS pixels.
      */
-    function applyBallPhysics(ball) {
-        ball.vy += GRAVITY * scaleFactor; // Apply scaled gravity to vertical velocity.
-        ball.x += ball.vx; // Update horizontal position.
-        ball.y += ball.vy; // Update vertical position.
+    function getAvailableWidth() {
+        const boardCount = compareModeInput.checked ? 2 : 1;
+        return window.innerWidth / boardCount - CANVAS_MARGIN_LEFT - CANVAS_MARGIN_RIGHT;
     }
 
     /**
-     * Handles collisions between a ball and the canvas walls.
-     * Reverses and dampens velocity upon collision.
-     * @param {object} ball - The ball object to check for wall collisions.
+     * Reads the board settings from the inputs for redrawing the board.
+     * Entries outside their limits (see limits.js) are left out, so the engine keeps its current values;
+     * validateInputs() points them out next to their inputs.
+     * @returns {object} Engine configuration for rows, bin capacity, overflow policy, bias, ball stacking,
+     *          ball collisions, peg layout, physics constants, draw distribution and drop positions.
      */
-    function handleBallWallCollisions(ball) {
-        // Horizontal wall collisions (left and right)
-        if (ball.x - currentBallRadius < 0 || ball.x + currentBallRadius > canvas.width) {
-            ball.vx *= -0.5; // Reverse and dampen horizontal velocity.
-            // Reposition ball to prevent sticking to the wall.
-            if (ball.x - currentBallRadius < 0) ball.x = currentBallRadius;
-            if (ball.x + currentBallRadius > canvas.width) ball.x = canvas.width - currentBallRadius;
+    function readBoardSettings() {
+        const settings = {
+            overflowPolicy: overflowPolicyInput.value,
+            stackBalls: stackBallsInput.checked,
+            ballCollisions: ballCollisionsInput.checked,
+            layout: boardLayout,
+            physics: readPhysicsSettings(),
+            distribution: boardLayout ? 'bernoulli' : drawDistributionInput.value // See setInputsDisabled().
+        };
+        const rows = boardLayout ? getLayoutRowCount(boardLayout) : parseInt(numRowsInput.value);
+        const binCapacity = parseInt(binCapacityInput.value);
+        const bias = parseFloat(biasInput.value);
+        if (isWithinLimits('rows', rows)) {
+            settings.rows = rows;
+            readDropSources(settings, rows);
+        }
+        if (isWithinLimits('binCapacity', binCapacity)) {
+            // Stacking bins grow with their capacity, so keep an oversized entry from making the board huge.
+            settings.binCapacity = settings.stackBalls
+                ? Math.min(binCapacity, PARAMETER_LIMITS.stackedBinCapacity.max)
+                : binCapacity;
         }
+        if (isWithinLimits('bias', bias)) settings.bias = bias;
+        return settings;
+    }
 
-        // Bottom wall collision (ball falls off screen)
-        // Also checks if the ball is not already settling or landed to avoid redundant processing.
-        if (ball.y - currentBallRadius > canvas.height && !ball.isSettling && !ball.landed) {
-            ball.landed = true; // Mark ball as lost/landed off-screen.
-            ballsBeingDropped--; // Decrement count of active balls.
+    /**
+     * Reads the settings of board B for comparison mode. It has its own number of rows, bias, bin capacity and
+     * physics (board A's, or one of the presets), shares the other settings with board A and always has the
+     * triangular layout. Its number of balls is read when a run starts.
+     * @returns {object} Engine configuration, as in readBoardSettings().
+     */
+    function readCompareSettings() {
+        const settings = Object.assign(readBoardSettings(), { layout: null });
+        const rows = parseInt(compareRowsInput.value);
+        const bias = parseFloat(compareBiasInput.value);
+        const binCapacity = parseInt(compareCapacityInput.value);
+        if (isWithinLimits('rows', rows)) {
+            settings.rows = rows;
+            readDropSources(settings, rows);
         }
-        // Top wall collision (less common, but included for completeness)
-        if (ball.y - currentBallRadius < 0) {
-            ball.vy *= -BOUNCE_FACTOR; // Reverse and dampen vertical velocity using the global bounce factor.
-            ball.y = currentBallRadius; // Reposition ball to prevent sticking.
+        if (isWithinLimits('bias', bias)) settings.bias = bias;
+        if (isWithinLimits('binCapacity', binCapacity)) {
+            settings.binCapacity = settings.stackBalls
+                ? Math.min(binCapacity, PARAMETER_LIMITS.stackedBinCapacity.max)
+                : binCapacity;
+        } else {
+            delete settings.binCapacity;
         }
+        if (comparePhysicsInput.value !== 'same') settings.physics = PHYSICS_PRESETS[comparePhysicsInput.value];
+        return settings;
     }
 
     /**
-     * Handles collisions between a ball and the pegs.
-     * Implements a simplified bounce logic upon collision.
-     * @param {object} ball - The ball object to check for peg collisions.
+     * Reads the drop positions input into board settings. An entry that cannot be read is left out, like the
+     * other invalid entries, and pointed out by validateInputs(). With a peg layout the input is turned off and
+     * the balls drop above the top peg.
+     * @param {object} settings - Engine configuration to add the drop positions to.
+     * @param {number} rows - Number of rows of the board.
      */
-    function handleBallPegCollisions(ball) {
-        pegs.forEach(peg => {
-            const dx = ball.x - peg.x; // Difference in x-coordinates.
-            const dy = ball.y - peg.y; // Difference in y-coordinates.
-            const distance = Math.sqrt(dx * dx + dy * dy); // Distance between ball and peg centers.
+    function readDropSources(settings, rows) {
+        if (boardLayout) {
+            settings.sources = null;
+            return;
+        }
+        try {
+            settings.sources = parseDropSources(dropSourcesInput.value, rows);
+        } catch (error) {
+            delete settings.sources;
+        }
+    }
 
-            // Check if the ball is colliding with the peg.
-            if (distance < currentBallRadius + currentPegRadius) {
-                // Approximate collision response:
-                // Nudge the ball slightly away from the peg to prevent sticking.
-                ball.y = peg.y - (currentBallRadius + currentPegRadius) * Math.sign(dy) * 0.51;
+    /**
+     * Parses drop positions: comma-separated offsets in whole peg spacings from the center, negative to the left,
+     * each optionally followed by a colon and a weight, e.g. "-3:1, 3:2". Offsets without a weight weigh 1.
+     * @param {string} text - The drop positions.
+     * @param {number} rows - Number of rows of the board; its drop positions are at most rows / 2 from the center,
+     *        above the edge of the triangle's last row.
+     * @returns {Array<{offset: number, weight: number}>|null} The drop positions, or null for a single drop above
+     *          the top peg (e.g. an empty entry or "0").
+     * @throws {Error} If the text is not a list of drop positions; the message says what is wrong.
+     */
+    function parseDropSources(text, rows) {
+        const maxOffset = Math.floor(rows / 2);
+        const sources = text.split(',').filter(part => part.trim() !== '').map(part => {
+            const [offsetText, weightText = '1', ...rest] = part.split(':').map(value => value.trim());
+            const offset = Number(offsetText);
+            const weight = Number(weightText);
+            if (rest.length > 0 || offsetText === '' || !Number.isInteger(offset) || Math.abs(offset) > maxOffset) {
+                throw new Error('Drop positions must be whole numbers between -' + maxOffset + ' and ' + maxOffset +
+                                ' for ' + rows + (rows === 1 ? ' row' : ' rows') + ', e.g. "-2:1, 2:3".');
+            }
+            if (weightText === '' || !Number.isFinite(weight) || weight <= 0) {
+                throw new Error('The weight after a drop position must be a number above 0, e.g. "-2:1, 2:3".');
+            }
+            return { offset: offset, weight: weight };
+        });
+        return sources.every(source => source.offset === 0) ? null : sources;
+    }
 
-                // Reverse and dampen vertical velocity.
-                ball.vy *= -BOUNCE_FACTOR;
+    /**
+     * Reads the advanced physics panel. Like in readBoardSettings(), entries outside their range are left
+     * out, so the engine uses its defaults for them until they are corrected.
+     * @returns {object} Changes to the engine's physics constants.
+     */
+    function readPhysicsSettings() {
+        const physics = {};
+        PHYSICS_CONTROLS.forEach(({ key, input }) => {
+            const value = parseFloat(input.value);
+            if (isWithinLimits(key, value)) physics[key] = value;
+        });
+        return physics;
+    }
 
-                // Apply a horizontal "bump" with a random component.
-                const bump = HORIZONTAL_BUMP * scaleFactor;
-                if (ball.x < peg.x) { // Ball hits peg from the left.
-                    ball.vx = -bump * Math.random();
-                } else { // Ball hits peg from the right.
-                    ball.vx = bump * Math.random();
-                }
+    // --- Statistics Panel ---
 
-                // Ensure a minimum horizontal velocity after collision to prevent stalling.
-                if (Math.abs(ball.vx) < 0.5 * scaleFactor) {
-                     ball.vx = (ball.x < peg.x ? -1 : 1) * 0.5 * scaleFactor;
-                }
+    /**
+     * Formats a statistic for the statistics panel.
+     * @param {number} value - The value to format.
+     * @returns {string} The value with three decimals, or a dash if it is undefined.
+     */
+    function formatStat(value) {
+        return Number.isFinite(value) ? value.toFixed(3) : '–';
+    }
+
+    /**
+     * Shows where every ball of the run is, on each active board: in a bin, lost, in flight or still waiting to
+     * be dropped. The four numbers always add up to the balls of the board's run.
+     */
+    function updateBallTally() {
+        getActiveBoards().forEach(board => {
+            const tally = board.engine.getTally();
+            const total = tally.binned + tally.lost + tally.inFlight + tally.waiting;
+            let text = (compareModeInput.checked ? board.name + ' balls: ' : 'Balls: ') + tally.binned + ' in bins, ' +
+                tally.lost + ' lost, ' + tally.inFlight + ' in flight, ' + tally.waiting + ' waiting (' + total +
+                ' in total).';
+            if (tally.overflowed > 0) {
+                text += ' ' + tally.overflowed + ' reached a full bin' +
+                    (tally.spilled > 0 ? ', ' + tally.spilled + ' of them landed in another bin.' : '.');
             }
+            if (board.tallyElement.textContent !== text) board.tallyElement.textContent = text;
         });
     }
 
     /**
-     * Handles interactions between a ball and the bins.
-     * If a bin has capacity, the ball settles into it. If full, the ball bounces off.
-     * @param {object} ball - The ball object to check for bin interactions.
+     * Refreshes the sample and theoretical moments in the statistics panel from the current bin counts of the
+     * active boards, each in its own columns, and the ball tally. Skips updating the moments if the number of
+     * collected balls has not changed since the last call.
+     * @param {boolean} [force=false] - Update even if the ball total is unchanged (e.g. after the rows changed).
      */
-    function handleBallBinInteractions(ball) {
-        // Skip if no bins, or ball is already settling or landed.
-        if (bins.length === 0 || ball.isSettling || ball.landed) {
-            return;
-        }
+    function updateStatsPanel(force = false) {
+        updateBallTally(); // Balls can be lost or dropped without changing the bin counts.
+        const activeBoards = getActiveBoards();
+        const samples = activeBoards.map(board => sampleMoments(board.engine.getCounts()));
+        const total = samples.reduce((sum, sample) => sum + sample.total, 0); // Only grows during a run.
+        if (!force && total === lastStatsTotal) return;
+        lastStatsTotal = total;
+
+        activeBoards.forEach((board, index) => {
+            const config = board.engine.config;
+            const theory = binMoments(board.engine.bins.length - 1, config.bias, config.distribution, config.sources,
+                                      DRAW_PARAMETERS);
+            ['mean', 'variance', 'skewness', 'excessKurtosis'].forEach(key => {
+                const row = statsTableBody.querySelector('[data-stat="' + key + '"]');
+                row.querySelectorAll('.stat-sample')[index].textContent = formatStat(samples[index][key]);
+                row.querySelectorAll('.stat-theory')[index].textContent = formatStat(theory[key]);
+            });
+        });
+        updateBinTable(engine.getCounts());
+    }
 
-        const bottomOfBall = ball.y + currentBallRadius;
-        const topOfBins = bins[0].y; // Assuming all bins are at the same y-level.
-
-        // Check if the ball is vertically within the bin area.
-        if (bottomOfBall >= topOfBins && ball.y - currentBallRadius < topOfBins + currentDrawnBinHeight) {
-            for (let i = 0; i < bins.length; i++) {
-                const bin = bins[i];
-                // Check if the ball horizontally overlaps with the current bin.
-                const ballOverlapsBinHorizontally = ball.x + currentBallRadius > bin.x && ball.x - currentBallRadius < bin.x + bin.width;
-
-                if (ballOverlapsBinHorizontally) {
-                    // Ensure the bottom of the ball is at or below the bin's top edge.
-                    if (ball.y + currentBallRadius >= bin.y) {
-                        if (bin.count < bin.maxCapacity) { // Bin has space.
-                            bin.count++;
-                            ballsBeingDropped--;
-                            ball.isSettling = true; // Mark ball as settling.
-                            ball.vx = 0; // Stop horizontal movement.
-                            ball.vy = 0; // Stop vertical movement.
-                            ball.x = bin.x + bin.width / 2; // Center ball in the bin.
-                            // Position ball at the visual bottom of the collected balls in the bin.
-                            ball.y = bin.y + bin.height - currentBallRadius - 1;
-                        } else { // Bin is full.
-                            // Make the ball bounce off the full bin.
-                            ball.vy *= -BOUNCE_FACTOR * 0.5; // Reduced bounce compared to pegs.
-                            ball.y = bin.y - currentBallRadius - 0.1; // Position slightly above the bin.
-                            // Give a small horizontal nudge if velocity is too low.
-                            if (Math.abs(ball.vx) < 0.1 * scaleFactor) {
-                                ball.vx = (Math.random() < 0.5 ? -1 : 1) * 0.2 * scaleFactor;
-                            }
-                        }
-                        return; // Ball has interacted with a bin, no need to check others.
-                    }
-                }
-            }
-        }
+    /**
+     * Fills the screen-reader table of the bins with the count of every bin and its expected count.
+     * @param {number[]} counts - Number of balls in each bin.
+     */
+    function updateBinTable(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const probabilities = getBinProbabilities(engine);
+        binTableBody.textContent = '';
+        counts.forEach((count, k) => {
+            const row = binTableBody.insertRow();
+            const header = document.createElement('th');
+            header.scope = 'row';
+            header.textContent = k;
+            row.appendChild(header);
+            row.insertCell().textContent = count;
+            row.insertCell().textContent = (total * probabilities[k]).toFixed(1);
+        });
     }
 
     /**
-     * Resizes the canvas and recalculates all scalable dimensions based on viewport width and number of rows.
-     * This function ensures the Galton board is responsive.
-     */
-    function resizeCanvas() {
-        NUM_ROWS = parseInt(numRowsInput.value); // Update NUM_ROWS from input.
-
-        const viewportWidth = window.innerWidth;
-        // Calculate available width for the canvas element, considering margins.
-        const availableWidthForCanvasElement = viewportWidth - CANVAS_MARGIN_LEFT - CANVAS_MARGIN_RIGHT;
-        // Calculate the ideal width the content would take if unscaled.
-        const idealContentWidthUnscaled = (NUM_ROWS + 3.5) * BASE_PEG_SPACING_X;
-
-        let finalCanvasWidth;
-        // If ideal unscaled width is larger than available, use available width.
-        if (idealContentWidthUnscaled > availableWidthForCanvasElement) {
-            finalCanvasWidth = availableWidthForCanvasElement;
-        } else { // Otherwise, use the ideal unscaled width.
-            finalCanvasWidth = idealContentWidthUnscaled;
-        }
-        
-        // Calculate the horizontal spacing for pegs based on the final canvas width.
-        currentPegSpacingX = finalCanvasWidth / (NUM_ROWS + 3.5);
-        // Ensure a minimum peg spacing to prevent visual clutter or overlap.
-        const minPegSpacingX = BASE_PEG_RADIUS * 3;
-        if (currentPegSpacingX < minPegSpacingX) {
-            currentPegSpacingX = minPegSpacingX;
-            // Recalculate canvas width if minimum spacing forces it to be larger.
-            finalCanvasWidth = (NUM_ROWS + 3.5) * currentPegSpacingX;
-        }
-        
-        // Determine the scale factor based on the new peg spacing relative to the base.
-        scaleFactor = currentPegSpacingX / BASE_PEG_SPACING_X;
-
-        // Apply the scale factor to all other base dimensions.
-        currentPegSpacingY = BASE_PEG_SPACING_Y * scaleFactor;
-        currentStartYOffset = BASE_START_Y_OFFSET * scaleFactor;
-        currentPegRadius = BASE_PEG_RADIUS * scaleFactor;
-        currentBallRadius = BASE_BALL_RADIUS * scaleFactor;
-        currentDrawnBinHeight = BASE_DRAWN_BIN_HEIGHT * scaleFactor;
-        currentSpaceBelowPegs = BASE_SPACE_BELOW_PEGS * scaleFactor;
-        currentBottomPadding = BASE_BOTTOM_PADDING * scaleFactor;
-
-        // Set the canvas dimensions.
-        canvas.width = finalCanvasWidth;
-        canvas.height = currentStartYOffset +
-                        (NUM_ROWS - 1) * currentPegSpacingY +
-                        currentPegRadius + // Account for the radius of the last row of pegs.
-                        currentSpaceBelowPegs +
-                        currentDrawnBinHeight +
-                        currentBottomPadding;
-        
-        // Set CSS max-width to ensure canvas doesn't exceed its calculated width.
-        canvas.style.maxWidth = finalCanvasWidth + 'px';
-    }
-
-    /**
-     * Initializes or re-initializes the peg positions based on the current canvas dimensions and number of rows.
-     * Pegs are arranged in a triangular pattern.
-     */
-    function initPegs() {
-        pegs = []; // Clear existing pegs.
-        const firstPegRowCenterY = currentStartYOffset; // Y-coordinate for the center of the first peg row.
-
-        for (let row = 0; row < NUM_ROWS; row++) {
-            const numPegsInRow = row + 1; // Number of pegs in the current row.
-            const rowWidth = (numPegsInRow - 1) * currentPegSpacingX; // Total width occupied by pegs in this row.
-            const startX = (canvas.width - rowWidth) / 2; // Starting X-coordinate to center the row.
-
-            for (let col = 0; col < numPegsInRow; col++) {
-                pegs.push({
-                    x: startX + col * currentPegSpacingX,
-                    y: firstPegRowCenterY + row * currentPegSpacingY,
-                    radius: currentPegRadius
-                });
-            }
+     * Announces a message to screen-reader users through the live region.
+     * @param {string} message - The message.
+     */
+    function announce(message) {
+        liveStatusElement.textContent = message;
+    }
+
+    /**
+     * Describes the outcome of a run for the live region: where the balls went and the count of every bin.
+     * @param {string} heading - Opening words, e.g. "Run complete".
+     * @returns {string} The description.
+     */
+    function describeRunResult(heading) {
+        const counts = engine.getCounts();
+        const tally = engine.getTally();
+        let text = heading + ': ' + tally.binned + ' balls in bins, ' + tally.lost + ' lost.';
+        if (tally.binned > 0) {
+            const fullest = counts.indexOf(Math.max(...counts));
+            text += ' Most balls landed in bin ' + fullest + ' (' + counts[fullest] + ').';
         }
+        text += ' Bin counts from left to right: ' + counts.join(', ') + '.';
+        if (compareModeInput.checked) text += ' Board B: ' + compareEngine.getCounts().join(', ') + '.';
+        return text;
     }
 
     /**
-     * Initializes or re-initializes the bins at the bottom of the Galton board.
-     * The number of bins is typically NUM_ROWS + 1.
+     * Describes the boards in the canvases' accessible names, which screen readers read instead of the drawing.
      */
-    function initBins() {
-        bins = []; // Clear existing bins.
-        const numBins = NUM_ROWS + 1;
-        const binWidth = currentPegSpacingX; // Each bin's width matches the horizontal peg spacing.
+    function updateBoardLabels() {
+        getActiveBoards().forEach(board => {
+            const config = board.engine.config;
+            const prefix = compareModeInput.checked ? board.name + ': ' : '';
+            board.canvas.setAttribute('aria-label', prefix + 'Galton board with ' + config.rows +
+                ' rows of pegs' + (config.layout ? ' in a custom layout' : '') + ' and ' +
+                board.engine.bins.length + ' bins, p = ' + config.bias + '.');
+        });
+    }
 
-        // Calculate the Y-coordinate for the top of the bins.
-        const lastPegRowCenterY = currentStartYOffset + (NUM_ROWS - 1) * currentPegSpacingY;
-        const binsTopY = lastPegRowCenterY + currentPegRadius + currentSpaceBelowPegs;
+    /**
+     * Computes the probability of each bin of a board under its configuration: the binomial distribution on the
+     * plain board, or the distribution for its drop positions or draws.
+     * @param {object} boardEngine - The board's engine.
+     * @returns {number[]} The probability of each bin.
+     */
+    function getBinProbabilities(boardEngine) {
+        const config = boardEngine.config;
+        return binProbabilities(boardEngine.bins.length - 1, config.bias, config.distribution, config.sources,
+                                DRAW_PARAMETERS);
+    }
 
-        const totalBinsWidth = numBins * binWidth; // Total width occupied by all bins.
-        const firstBinX = (canvas.width - totalBinsWidth) / 2; // Starting X-coordinate to center the bins.
+    /**
+     * Shows the chi-square goodness-of-fit result of the finished run on each active board.
+     */
+    function showGoodnessOfFit() {
+        getActiveBoards().forEach(board => {
+            const heading = (compareModeInput.checked ? board.name + ' goodness of fit' : 'Goodness of fit') + ': ';
+            const result = chiSquareTest(board.engine.getCounts(), getBinProbabilities(board.engine));
+            if (!result) {
+                board.fitElement.textContent = heading + 'not enough balls for a chi-square test.';
+                return;
+            }
+            board.fitElement.textContent = heading + 'χ² = ' + result.statistic.toFixed(2) +
+                ', df = ' + result.degreesOfFreedom +
+                ' (' + result.groups + ' groups after merging bins expecting < ' + MIN_EXPECTED_PER_GROUP + ' balls)' +
+                ', p = ' + (result.pValue < 0.0001 ? result.pValue.toExponential(2) : result.pValue.toFixed(4));
+        });
+    }
 
-        for (let i = 0; i < numBins; i++) {
-            bins.push({
-                x: firstBinX + i * binWidth,
-                y: binsTopY,
-                width: binWidth,
-                height: currentDrawnBinHeight,
-                count: 0, // Number of balls currently in this bin.
-                maxCapacity: parseInt(binCapacityInput.value) || 100 // Max capacity from input, default 100.
-            });
-        }
+    /**
+     * Clears the goodness-of-fit results, e.g. when a new run starts.
+     */
+    function clearGoodnessOfFit() {
+        boards.forEach(board => { board.fitElement.textContent = ''; });
     }
 
+    // --- Board Comparison ---
+
     /**
-     * Creates a new ball object with initial properties.
-     * Balls are typically created above the first peg.
-     * @returns {object} A new ball object.
+     * Shows or hides board B, its inputs, its entries in the statistics panel and the comparison panel to match
+     * the comparison mode checkbox.
      */
-    function createBall() {
-        // Start ball above the center of the first row of pegs, or canvas center if no pegs.
-        const firstPegX = pegs.length > 0 ? pegs[0].x : canvas.width / 2;
-        return {
-            x: firstPegX,
-            y: currentStartYOffset - currentPegSpacingY, // Position above the first peg row.
-            radius: currentBallRadius,
-            color: BALL_COLOR,
-            vx: (Math.random() - 0.5) * 0.5, // Small initial random horizontal velocity.
-            vy: 0, // Initial vertical velocity.
-            landed: false, // True if the ball has settled in a bin or fallen off.
-            isSettling: false // True if the ball is in the process of settling into a bin.
-        };
+    function updateCompareVisibility() {
+        const compare = compareModeInput.checked;
+        compareControls.hidden = !compare;
+        compareCanvas.hidden = !compare;
+        comparePanel.hidden = !compare;
+        document.querySelectorAll('.compare-stat').forEach(element => { element.hidden = !compare; });
+        compareBallTallyElement.hidden = !compare;
+        compareFitResultElement.hidden = !compare;
+        sampleHeadingElement.textContent = compare ? 'Board A sample' : 'Sample';
+        theoryHeadingElement.textContent = compare ? 'Board A theory' : 'Theory';
     }
 
-    // --- Drawing Functions ---
+    /**
+     * Sizes the comparison chart to the viewport.
+     */
+    function resizeCompareChart() {
+        compareChart.resize(window.innerWidth - CANVAS_MARGIN_LEFT - CANVAS_MARGIN_RIGHT - PANEL_PADDING);
+    }
 
     /**
-     * Draws all pegs on the canvas.
+     * Redraws the comparison chart and summarizes both boards under it: their balls and their sample mean and
+     * variance next to the binomial ones. Does nothing outside comparison mode.
      */
-    function drawPegs() {
-        ctx.fillStyle = PEG_COLOR;
-        pegs.forEach(peg => {
-            ctx.beginPath();
-            ctx.arc(peg.x, peg.y, peg.radius, 0, Math.PI * 2); // Draw a circle for each peg.
-            ctx.fill();
+    function updateComparePanel() {
+        if (!compareModeInput.checked) return;
+        const lines = boards.map((board, index) => {
+            const config = board.engine.config;
+            const physics = board.engine === compareEngine && comparePhysicsInput.value !== 'same'
+                ? ', ' + comparePhysicsInput.selectedOptions[0].textContent + ' physics'
+                : '';
+            const label = board.name + ' (' + (config.layout ? 'custom layout' : config.rows + ' rows') +
+                ', p = ' + config.bias + physics + ')';
+            compareSeries[index].label = label;
+            const counts = board.engine.getCounts();
+            const sample = sampleMoments(counts);
+            const theory = binMoments(counts.length - 1, config.bias, config.distribution, config.sources, DRAW_PARAMETERS);
+            const tally = board.engine.getTally();
+            return label + ': ' + tally.binned + ' in bins, ' + tally.lost + ' lost; mean ' + formatStat(sample.mean) +
+                ' (theory ' + formatStat(theory.mean) + '), variance ' + formatStat(sample.variance) +
+                ' (theory ' + formatStat(theory.variance) + ').';
         });
+        compareChart.render();
+        const text = lines.join(' ');
+        if (compareSummaryElement.textContent !== text) compareSummaryElement.textContent = text;
+    }
+
+    // --- Ball Paths ---
+
+    /**
+     * Lists the balls of the current run that landed in a bin and have a recorded path.
+     * @param {number} binIndex - Index of the bin.
+     * @returns {Array<object>} The balls, in drop order.
+     */
+    function getBinBalls(binIndex) {
+        return engine.balls.filter(ball => ball.binIndex === binIndex && ball.path.length > 0);
     }
 
     /**
-     * Draws all active (non-settled, non-landed) balls on the canvas.
-     * Balls that are settling or have landed are not drawn individually;
-     * their presence is represented by the bin fill level.
+     * Redraws the board for a path change, unless the animation loop is about to redraw it anyway.
      */
-    function drawBalls() {
-        balls.forEach(ball => {
-            // Do not draw balls that have landed or are in the process of settling.
-            if (ball.landed || ball.isSettling) return;
+    function renderIfIdle() {
+        if (!isRunActive || isPaused) renderer.render();
+    }
 
-            ctx.fillStyle = ball.color;
-            ctx.beginPath();
-            ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2); // Draw a circle for each ball.
-            ctx.fill();
-        });
+    /**
+     * Selects the bin whose ball paths are highlighted, or clears the selection.
+     * @param {number|null} binIndex - Index of the bin, or null to clear the selection.
+     */
+    function selectBin(binIndex) {
+        stopReplay();
+        renderer.options.highlightBin = binIndex;
+        replayCursor = -1;
+        updatePathPanel();
+        renderIfIdle();
     }
 
     /**
-     * Draws the bins and the visual representation of balls collected in them.
-     * Also displays the count of balls in each bin.
-     */
-    function drawBins() {
-        ctx.strokeStyle = BIN_COLOR; // Color for bin outlines.
-        ctx.fillStyle = '#ecf0f1'; // A light background color for bin internals (optional).
-
-        bins.forEach(bin => {
-            // Draw bin outline.
-            ctx.beginPath();
-            ctx.rect(bin.x, bin.y, bin.width, bin.height);
-            ctx.stroke();
-
-            // Draw the fill level for collected balls if any.
-            if (bin.count > 0 && bin.maxCapacity > 0) {
-                // Calculate the height of the bar representing collected balls.
-                const barFillHeight = (bin.count / bin.maxCapacity) * bin.height;
-                ctx.fillStyle = BALL_COLOR; // Use ball color for the fill.
-                ctx.fillRect(
-                    bin.x + 1, // Small offset for visual padding.
-                    // Y-position of the top of the fill bar.
-                    bin.y + bin.height - Math.min(barFillHeight, bin.height - 1),
-                    bin.width - 2, // Reduce width slightly for padding.
-                    // Actual height of the fill bar, capped at bin height.
-                    Math.min(barFillHeight, bin.height - 1)
-                );
-            }
+     * Shows the selected bin's ball count and the L/R sequence of the replayed ball in the path panel.
+     */
+    function updatePathPanel() {
+        const binIndex = renderer.options.highlightBin;
+        const replay = renderer.options.replay;
+        clearPathsButton.disabled = binIndex === null;
+        if (binIndex === null) {
+            pathSummaryElement.textContent = 'Click a bin to highlight the paths of the balls that landed in it.';
+            replayButton.disabled = true;
+            pathSequenceElement.textContent = '';
+            return;
+        }
 
-            // Draw the count of balls above each bin.
-            ctx.fillStyle = '#333'; // Text color.
-            ctx.font = (10 * scaleFactor) + 'px Arial'; // Scale font size.
-            ctx.textAlign = 'center';
-            ctx.fillText(bin.count, bin.x + bin.width / 2, bin.y - (5 * scaleFactor)); // Position text above bin.
+        const binBalls = getBinBalls(binIndex);
+        replayButton.disabled = binBalls.length === 0;
+        if (binBalls.length === 0) {
+            pathSummaryElement.textContent = 'Bin ' + binIndex + ': ' + (isInstantRun
+                ? 'instant runs do not record ball paths.'
+                : 'no balls with a recorded path yet.');
+        } else {
+            pathSummaryElement.textContent = 'Bin ' + binIndex + ': ' + binBalls.length +
+                (binBalls.length === 1 ? ' ball' : ' balls') + ' landed here.' + (boardLayout || engine.config.sources ? '' :
+                ' On an ideal board every one of them would have bounced right exactly ' + binIndex +
+                (binIndex === 1 ? ' time.' : ' times.'));
+        }
+
+        pathSequenceElement.textContent = '';
+        if (!replay) return;
+        // One letter per peg hit; letters of pegs the replayed ball has reached are highlighted.
+        pathSequenceElement.appendChild(document.createTextNode('Ball ' + (replay.ball.index + 1) + ': '));
+        replay.ball.path.forEach((hit, i) => {
+            const letter = document.createElement('span');
+            letter.textContent = hit.direction;
+            // The ball reaches the top of peg i at path point 2i + 1 (see the renderer's getBallPathPoints()).
+            if (2 * i + 1 <= replay.progress) letter.className = 'reached';
+            pathSequenceElement.appendChild(letter);
         });
+        // Livelier physics or crowded balls can make a ball skip a row, so the R count may differ from the bin index.
+        const rights = replay.ball.path.filter(hit => hit.direction === 'R').length;
+        pathSequenceElement.appendChild(document.createTextNode(' (' + rights + ' × R, ' +
+            (replay.ball.path.length - rights) + ' × L) → bin ' + replay.ball.binIndex));
     }
 
-    // --- Main Animation Loop and Controls ---
+    /**
+     * Replays the path of the next ball in the selected bin at slow speed.
+     */
+    function replayNextBall() {
+        const binBalls = getBinBalls(renderer.options.highlightBin);
+        if (binBalls.length === 0) return;
+        replayCursor = (replayCursor + 1) % binBalls.length;
+        renderer.options.replay = { ball: binBalls[replayCursor], progress: 0 };
+        cancelAnimationFrame(replayFrameId);
+        lastReplayTimestamp = null;
+        replayFrameId = requestAnimationFrame(replayLoop);
+    }
 
     /**
-     * Updates the state of all balls for each frame of the animation.
-     * This function orchestrates the physics calculations for each ball.
+     * Advances the path replay; called repeatedly using requestAnimationFrame until the ball reaches its bin.
+     * @param {number} timestamp - Time of the frame in milliseconds, provided by requestAnimationFrame.
      */
-    function updateBalls() {
-        balls.forEach(ball => {
-            if (ball.landed) return; // Skip already landed balls.
+    function replayLoop(timestamp) {
+        const replay = renderer.options.replay;
+        if (!replay) return;
+        if (lastReplayTimestamp !== null) {
+            replay.progress += Math.min((timestamp - lastReplayTimestamp) / 1000, MAX_FRAME_TIME) * REPLAY_SEGMENTS_PER_SECOND;
+        }
+        lastReplayTimestamp = timestamp;
 
-            if (ball.isSettling) {
-                // If a ball was marked as 'isSettling' in the previous frame (e.g., by handleBallBinInteractions),
-                // finalize its state to 'landed' for the current frame.
-                // This prevents it from being drawn or processed further as an active ball.
-                ball.landed = true;
-                return;
-            }
+        const segmentCount = renderer.getBallPathPoints(replay.ball).length - 1;
+        replay.progress = Math.min(replay.progress, segmentCount);
+        updatePathPanel();
+        renderIfIdle();
+        replayFrameId = replay.progress < segmentCount ? requestAnimationFrame(replayLoop) : null;
+    }
 
-            applyBallPhysics(ball); // Apply gravity and update position.
-            handleBallWallCollisions(ball); // Check and handle wall collisions.
+    /**
+     * Stops a path replay and removes the replayed ball from the board.
+     */
+    function stopReplay() {
+        cancelAnimationFrame(replayFrameId);
+        replayFrameId = null;
+        renderer.options.replay = null;
+    }
 
-            // Re-check if landed, as wall collision (e.g., falling off bottom) might have changed state.
-            if (ball.landed) return;
+    // --- Main Animation Loop and Controls ---
 
-            handleBallPegCollisions(ball); // Check and handle peg collisions.
-            handleBallBinInteractions(ball); // Check and handle bin interactions (settling or bouncing).
+    /**
+     * The main game loop, called repeatedly using requestAnimationFrame.
+     * The physics always advances in fixed steps of FIXED_TIME_STEP (see createFrameClock() in engine.js), so the
+     * outcome of a run does not depend on the display's refresh rate, and balls are drawn interpolated between
+     * their last two physics positions.
+     * @param {number} timestamp - Time of the frame in milliseconds, provided by requestAnimationFrame.
+     */
+    function gameLoop(timestamp) {
+        const stepFraction = frameClock.tick(timestamp, simulationSpeed, () => {
+            if (areBoardsFinished()) return false;
+            stepBoards(); // Update ball physics and interactions.
+            return true;
         });
+        // Draw the boards, which reflect changes from the steps (e.g., new counts).
+        getActiveBoards().forEach(board => board.renderer.render(stepFraction));
+        if (recordingTrack) recordingTrack.requestFrame(); // Add the drawn frame to the recording.
+        updateStatsPanel(); // Refresh the sample statistics if new balls were collected.
+        updateComparePanel();
+        if (renderer.options.highlightBin !== null && !renderer.options.replay) updatePathPanel();
+
+        // Continue animation if there are balls still to be dropped or any ball has not yet landed.
+        if (!areBoardsFinished()) {
+            animationFrameId = requestAnimationFrame(gameLoop);
+        } else {
+            finishSimulation(); // All balls have landed.
+        }
     }
 
     /**
-     * The main game loop, called repeatedly using requestAnimationFrame.
-     * Clears the canvas, draws all elements, updates ball states, and requests the next frame.
+     * Advances every active board that still has balls to drop or in flight by one physics step.
+     * The boards step together, so they stay in sync while one of them is still running.
      */
-    function gameLoop() {
-        ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear canvas for redrawing.
-        drawPegs();
-        drawBalls(); // Draw balls before updating, so their current position is rendered.
-        updateBalls(); // Update ball physics and interactions.
-        drawBins(); // Draw bins, which might reflect changes from updateBalls (e.g., new counts).
+    function stepBoards() {
+        getActiveBoards().forEach(board => {
+            if (!board.engine.isFinished()) board.engine.step(FIXED_TIME_STEP);
+        });
+    }
 
-        // Continue animation if there are balls being dropped or any ball has not yet landed.
-        if (ballsBeingDropped > 0 || balls.some(ball => !ball.landed)) {
-            animationFrameId = requestAnimationFrame(gameLoop);
+    /**
+     * Checks whether the run is over on every active board.
+     * @returns {boolean} True once all balls of all active boards have landed or were lost.
+     */
+    function areBoardsFinished() {
+        return getActiveBoards().every(board => board.engine.isFinished());
+    }
+
+    // --- Input Checks ---
+
+    /**
+     * Pairs each numeric input with the parameter whose limits apply to it. The limits of the balls and the bin
+     * capacity depend on the instant and stacking modes.
+     * @returns {Array<Array>} [input, parameter] pairs; the parameters are keys of PARAMETER_LIMITS.
+     */
+    function getInputParameters() {
+        return [
+            [numRowsInput, 'rows'],
+            [numBallsInput, instantModeInput.checked ? 'instantBalls' : 'balls'],
+            [binCapacityInput, stackBallsInput.checked ? 'stackedBinCapacity' : 'binCapacity'],
+            [biasInput, 'bias'],
+            [compareRowsInput, 'rows'],
+            [compareBiasInput, 'bias'],
+            [compareBallsInput, instantModeInput.checked ? 'instantBalls' : 'balls'],
+            [compareCapacityInput, stackBallsInput.checked ? 'stackedBinCapacity' : 'binCapacity']
+        ].concat(PHYSICS_CONTROLS.map(({ key, input }) => [input, key]));
+    }
+
+    /**
+     * Copies the parameter limits into the min and max attributes of the numeric inputs, so the browser's
+     * spin buttons stop where validateInputs() does.
+     */
+    function applyInputLimits() {
+        getInputParameters().forEach(([input, parameter]) => {
+            input.min = PARAMETER_LIMITS[parameter].min;
+            input.max = PARAMETER_LIMITS[parameter].max;
+        });
+    }
+
+    /**
+     * Shows or clears the message about an invalid input next to it. The message is linked to the input, so
+     * screen readers read it with the input.
+     * @param {HTMLElement} input - The input.
+     * @param {string|null} message - What is wrong with the entry, or null if it is valid.
+     */
+    function setFieldError(input, message) {
+        const id = input.id + 'Error';
+        let errorElement = document.getElementById(id);
+        if (!errorElement) {
+            if (!message) return;
+            errorElement = document.createElement('span');
+            errorElement.id = id;
+            errorElement.className = 'field-error';
+            // A checkbox sits inside its label, so the message goes after the label.
+            (input.type === 'checkbox' ? input.closest('label') : input).after(errorElement);
+            input.setAttribute('aria-describedby', id);
+        }
+        errorElement.textContent = message || '';
+        errorElement.hidden = !message;
+        if (message && input.tagName !== 'BUTTON') { // A button's message is about its action, not a value.
+            input.setAttribute('aria-invalid', 'true');
         } else {
-            // All balls have landed or simulation ended.
-            stopSimulation(); // Clean up animation resources.
+            input.removeAttribute('aria-invalid');
         }
     }
 
     /**
-     * Validates user inputs for number of rows, balls, and bin capacity.
-     * @param {number} numRows - Number of peg rows.
-     * @param {number} numBalls - Number of balls to drop.
-     * @param {number} binCapacity - Maximum capacity of each bin.
+     * Shows or clears the message about a failed action, e.g. an import, next to the control that started it,
+     * like the messages about invalid inputs, and has a new message read out.
+     * @param {HTMLElement} control - The button or input of the action.
+     * @param {string|null} message - What went wrong, or null once the action succeeded.
+     */
+    function setActionError(control, message) {
+        setFieldError(control, message);
+        if (message) announce(message);
+    }
+
+    /**
+     * Checks the inputs against their limits and shows a message next to every invalid one. Board B's inputs
+     * are only checked in comparison mode.
+     * @param {boolean} [focusInvalid=false] - Whether to move the focus to the first invalid input, e.g. when a
+     *        run was refused.
      * @returns {boolean} True if all inputs are valid, false otherwise.
      */
-    function validateInputs(numRows, numBalls, binCapacity) {
-        if (isNaN(numRows) || numRows < 1 || numRows > 30) {
-            alert("Number of rows must be between 1 and 30.");
-            return false;
-        }
-        if (isNaN(numBalls) || numBalls < 1 || numBalls > 5000) {
-            alert("Number of balls must be between 1 and 5000.");
-            return false;
+    function validateInputs(focusInvalid = false) {
+        const instant = instantModeInput.checked;
+        const checks = getInputParameters().map(([input, parameter]) => {
+            if (compareControls.contains(input) && !compareModeInput.checked) return [input, null];
+            let message = checkParameter(parameter, Number(input.value));
+            if (message && (input === numBallsInput || input === compareBallsInput) && !instant) {
+                message += ' Instant mode allows up to ' + PARAMETER_LIMITS.instantBalls.max + '.';
+            }
+            return [input, message];
+        });
+        const seed = readSeedInput();
+        const seedMessage = seed === null ? null : checkParameter('seed', seed);
+        checks.push([seedInput, seedMessage && seedMessage + ' Leave it empty for a random seed.']);
+        checks.push([instantModeInput, instant && boardLayout
+            ? 'Instant mode only works on the triangular board; drop the balls to run a custom layout.'
+            : null]);
+        checks.push([drawDistributionInput, drawDistributionInput.value !== 'bernoulli' && !instant && !boardLayout
+            ? 'Sums of these draws are sampled, not animated; turn on instant mode to run them.'
+            : null]);
+        checks.push([dropSourcesInput, checkDropSources()]);
+
+        checks.forEach(([input, message]) => setFieldError(input, message));
+        const invalid = checks.filter(([, message]) => message);
+        if (invalid.length > 0 && focusInvalid) {
+            invalid.forEach(([input]) => {
+                const panel = input.closest('details');
+                if (panel) panel.open = true; // The physics inputs may be folded away.
+            });
+            invalid[0][0].focus();
         }
-        if (isNaN(binCapacity) || binCapacity < 1 || binCapacity > 1000) {
-            alert("Bin capacity must be between 1 and 1000.");
-            return false;
+        return invalid.length === 0;
+    }
+
+    /**
+     * Checks the drop positions input against the rows of the active boards.
+     * @returns {string|null} What is wrong with the entry, or null if it is valid or not in use.
+     */
+    function checkDropSources() {
+        if (boardLayout) return null; // Turned off with a peg layout.
+        if (drawDistributionInput.value !== 'bernoulli') return null; // Sums of other draws do not use it.
+        const rows = [Number(numRowsInput.value)];
+        if (compareModeInput.checked) rows.push(Number(compareRowsInput.value));
+        const validRows = rows.filter(value => isWithinLimits('rows', value));
+        if (validRows.length === 0) return null; // The rows have messages of their own.
+        try {
+            parseDropSources(dropSourcesInput.value, Math.min(...validRows));
+            return null;
+        } catch (error) {
+            return error.message;
         }
-        return true;
+    }
+
+    /**
+     * Updates the input limits and messages after an input changed.
+     */
+    function updateInputChecks() {
+        applyInputLimits();
+        validateInputs();
+    }
+
+    /**
+     * Reads the seed input.
+     * @returns {number|null} The entered seed, NaN if the entry is not a number, or null if the field is empty.
+     */
+    function readSeedInput() {
+        const text = seedInput.value.trim();
+        return text === '' ? null : Number(text);
+    }
+
+    /**
+     * Enables or disables the start button and the parameter inputs.
+     * @param {boolean} disabled - True while a simulation is running.
+     */
+    function setInputsDisabled(disabled) {
+        startButton.disabled = disabled;
+        numRowsInput.disabled = disabled || layoutPresetInput.value === 'custom'; // A custom layout sets its own rows.
+        numBallsInput.disabled = disabled;
+        binCapacityInput.disabled = disabled;
+        overflowPolicyInput.disabled = disabled;
+        seedInput.disabled = disabled;
+        biasInput.disabled = disabled;
+        instantModeInput.disabled = disabled;
+        stackBallsInput.disabled = disabled;
+        ballCollisionsInput.disabled = disabled;
+        importJsonButton.disabled = disabled;
+        layoutPresetInput.disabled = disabled;
+        editPegsInput.disabled = disabled;
+        loadLayoutButton.disabled = disabled;
+        physicsPresetInput.disabled = disabled;
+        resetPhysicsButton.disabled = disabled;
+        PHYSICS_CONTROLS.forEach(({ input }) => { input.disabled = disabled; });
+        compareModeInput.disabled = disabled;
+        compareRowsInput.disabled = disabled;
+        compareBiasInput.disabled = disabled;
+        compareBallsInput.disabled = disabled;
+        compareCapacityInput.disabled = disabled;
+        comparePhysicsInput.disabled = disabled;
+        // The draws and drop positions need the triangular board, so a peg layout turns them off; the balls then
+        // bounce off the pegs and drop above the top peg. Sums of draws other than peg bounces do not use the
+        // pegs, so they have no drop positions.
+        drawDistributionInput.disabled = disabled || boardLayout !== null;
+        dropSourcesInput.disabled = disabled || boardLayout !== null || drawDistributionInput.value !== 'bernoulli';
+        recordRunInput.disabled = disabled || !getRecordingType();
     }
 
     // --- Simulation Control Functions ---
 
     /**
      * Starts the Galton board simulation.
-     * Initializes the board, balls, and starts the animation loop.
+     * Initializes the active boards and their balls, and starts the animation loop.
      * Disables input fields during simulation.
      */
     function startSimulation() {
-        if (animationFrameId) return; // Prevent starting if already running.
+        if (isRunActive) return; // Prevent starting if already running.
 
-        // Get and validate user inputs.
-        NUM_ROWS = parseInt(numRowsInput.value);
+        // Validate user inputs; invalid ones are marked next to the input, and the first one gets the focus.
+        applyInputLimits();
+        if (!validateInputs(true)) {
+            announce('The run did not start. Correct the marked settings first.');
+            return;
+        }
         ballsToDropTotal = parseInt(numBallsInput.value);
-        const binCapacityVal = parseInt(binCapacityInput.value);
-
-        if (!validateInputs(NUM_ROWS, ballsToDropTotal, binCapacityVal)) {
-            return; // Stop if inputs are invalid.
+        const seedVal = readSeedInput();
+        const instant = instantModeInput.checked;
+
+        let runSeed = seedVal;
+        if (seedVal === null) {
+            // No seed entered: pick one and show it, so an interesting run can still be repeated.
+            runSeed = Math.floor(Math.random() * (PARAMETER_LIMITS.seed.max + 1));
+            seedInput.placeholder = 'random (last: ' + runSeed + ')';
         }
 
-        // Prepare the simulation environment.
-        resizeCanvas(); // Adjust canvas and element sizes.
-        initPegs(); // Set up pegs.
-        initBins(); // Set up bins.
-        balls = []; // Clear any existing balls.
-        ballsBeingDropped = 0; // Reset active ball counter.
+        // Prepare the simulation environment: rebuild the boards and clear any existing balls.
+        // In comparison mode both boards use the run's seed.
+        isInstantRun = instant;
+        configureBoards({ seed: runSeed });
+        updateStatsPanel(true); // Clear the statistics of the previous run.
+        clearGoodnessOfFit();
+        selectBin(null); // The paths of the previous run are gone.
+
+        if (instant) {
+            // Sample every ball's path at once and show the finished run; nothing is animated.
+            getActiveBoards().forEach(board => {
+                board.engine.sampleBalls(parseInt(board.ballsInput.value));
+                board.renderer.render();
+            });
+            updateStatsPanel(true);
+            updateComparePanel();
+            showGoodnessOfFit();
+            resetButton.disabled = false;
+            announce(describeRunResult('Instant run complete'));
+            return;
+        }
 
         // Update UI state.
-        startButton.disabled = true;
-        numRowsInput.disabled = true;
-        numBallsInput.disabled = true;
-        binCapacityInput.disabled = true;
+        isRunActive = true;
+        isPaused = false;
+        setInputsDisabled(true);
         resetButton.disabled = false;
+        updateRunButtons();
+
+        // Space the drops so the balls do not all appear at once; the engine drops the first ball immediately.
+        // Both boards drop at the pace of the larger run, so neither drops its balls faster than the other.
+        const ballCounts = getActiveBoards().map(board => parseInt(board.ballsInput.value));
+        const dropDelay = getDropInterval(Math.max(...ballCounts));
+        getActiveBoards().forEach((board, index) => board.engine.scheduleDrops(ballCounts[index], dropDelay));
+        if (recordRunInput.checked) startRecording();
+        const describeBalls = count => count + (count === 1 ? ' ball' : ' balls');
+        announce('Dropping ' + describeBalls(ballCounts[0]) +
+            (compareModeInput.checked ? ' on board A and ' + describeBalls(ballCounts[1]) + ' on board B.' : '.'));
+
+        // Start the animation.
+        frameClock.restart(FIXED_TIME_STEP); // Take the first physics step on the first frame.
+        animationFrameId = requestAnimationFrame(gameLoop);
+    }
 
-        let ballsDroppedThisSession = 0;
-        /**
-         * Attempts to drop a new ball if the total count for the session hasn't been reached.
-         */
-        function tryDropBall() {
-            if (ballsDroppedThisSession < ballsToDropTotal) {
-                const newBall = createBall();
-                balls.push(newBall);
-                ballsBeingDropped++;
-                ballsDroppedThisSession++;
-            } else {
-                // All balls for this session have been initiated.
-                clearInterval(dropIntervalId);
-                dropIntervalId = null;
-            }
+    /**
+     * Rebuilds the active boards from the current inputs and sizes their canvases to them.
+     * @param {object} [changes] - Further engine configuration for both boards, e.g. the run's seed.
+     */
+    function configureBoards(changes) {
+        engine.configure(Object.assign(readBoardSettings(), changes));
+        renderer.resize(getAvailableWidth()); // Adjust canvas size to the new board.
+        if (compareModeInput.checked) {
+            compareEngine.configure(Object.assign(readCompareSettings(), changes));
+            compareRenderer.resize(getAvailableWidth());
+            resizeCompareChart();
         }
-        // Calculate delay for dropping balls to prevent all balls appearing at once.
-        // Delay is shorter for more balls, with min/max caps.
-        const dropDelay = Math.max(10, Math.min(100, 50000 / ballsToDropTotal));
-        dropIntervalId = setInterval(tryDropBall, dropDelay);
-        tryDropBall(); // Drop the first ball immediately.
-
-        gameLoop(); // Start the animation.
+        updateBoardLabels();
     }
 
     /**
      * Stops the current simulation.
-     * Cancels the animation frame and ball drop interval.
+     * Cancels the animation frame; balls that were not dropped yet are discarded with the next reset.
      * Re-enables input fields.
      */
     function stopSimulation() {
         cancelAnimationFrame(animationFrameId);
         animationFrameId = null;
-        if (dropIntervalId) {
-            clearInterval(dropIntervalId);
-            dropIntervalId = null;
-        }
+        isRunActive = false;
+        isPaused = false;
+        stopRecording();
         // Re-enable UI controls.
-        startButton.disabled = false;
-        numRowsInput.disabled = false;
-        numBallsInput.disabled = false;
-        binCapacityInput.disabled = false;
+        setInputsDisabled(false);
+        updateRunButtons();
+    }
+
+    /**
+     * Ends a run whose balls have all landed and shows its goodness-of-fit result.
+     */
+    function finishSimulation() {
+        stopSimulation(); // Clean up animation resources.
+        showGoodnessOfFit(); // Test the final histogram against the binomial distribution.
+        announce(describeRunResult('Run complete'));
+    }
+
+    /**
+     * Pauses a running simulation, or resumes a paused one.
+     * While paused, neither the physics nor the ball drops advance.
+     */
+    function togglePause() {
+        if (!isRunActive) return;
+        isPaused = !isPaused;
+        if (isPaused) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
+            if (recorder) recorder.pause(); // Leave the pause out of the recording.
+        } else {
+            frameClock.resume(); // Do not count the paused time as elapsed.
+            animationFrameId = requestAnimationFrame(gameLoop);
+            if (recorder) recorder.resume();
+        }
+        updateRunButtons();
+        announce(isPaused ? 'Paused.' : 'Resumed.');
     }
 
     /**
-     * Resets the Galton board to its initial state.
+     * Advances a paused simulation by exactly one physics step and redraws the boards.
+     */
+    function stepSimulation() {
+        if (!isRunActive || !isPaused) return;
+        stepBoards();
+        frameClock.restart();
+        getActiveBoards().forEach(board => board.renderer.render()); // Draw the balls at their new positions.
+        updateStatsPanel();
+        updateComparePanel();
+        if (areBoardsFinished()) {
+            finishSimulation();
+        }
+    }
+
+    /**
+     * Reads the speed slider. The slider is logarithmic: its value is the power of ten of the speed,
+     * so it ranges from 0.1× to 10× with 1× in the middle.
+     */
+    function updateSimulationSpeed() {
+        simulationSpeed = Math.pow(10, parseFloat(speedInput.value));
+        speedOutput.textContent = (simulationSpeed < 1 ? simulationSpeed.toFixed(2) : simulationSpeed.toFixed(1)) + '×';
+    }
+
+    /**
+     * Updates the pause and step buttons to match the run state.
+     */
+    function updateRunButtons() {
+        pauseButton.disabled = !isRunActive;
+        pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+        stepButton.disabled = !isPaused;
+    }
+
+    /**
+     * Resets the Galton board, and board B in comparison mode, to its initial state.
      * Stops any ongoing simulation, clears balls, re-initializes pegs and bins,
-     * and redraws the static board.
+     * and redraws the static boards.
      */
     function resetSimulation() {
         stopSimulation(); // Ensure any active simulation is stopped.
-        balls = [];
-        ballsBeingDropped = 0;
         ballsToDropTotal = 0;
+        isInstantRun = false;
 
-        // Re-initialize and draw the board components.
-        resizeCanvas(); // Recalculate dimensions based on current inputs.
-        initPegs();
-        initBins();
-
-        // Clear the canvas and draw the static elements.
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        drawPegs();
-        drawBins();
+        // Re-initialize and draw the board components from the current inputs.
+        configureBoards();
+        getActiveBoards().forEach(board => board.renderer.render());
+        updateStatsPanel(true);
+        updateComparePanel();
+        clearGoodnessOfFit();
+        selectBin(null);
 
         // Reset UI button states.
-        startButton.disabled = false;
-        numRowsInput.disabled = false;
-        numBallsInput.disabled = false;
-        binCapacityInput.disabled = false;
+        setInputsDisabled(false);
         resetButton.disabled = true; // Reset button is typically disabled until a simulation starts.
+        updateUrlState();
+    }
+
+    // --- Export and Import ---
+
+    /**
+     * Collects the current run's configuration, bin counts and ball records for export.
+     * @returns {object} The run result; see results.js.
+     */
+    function getRunResult() {
+        const config = engine.config;
+        return createRunResult({
+            settings: {
+                rows: config.rows,
+                balls: ballsToDropTotal,
+                binCapacity: config.binCapacity,
+                overflowPolicy: config.overflowPolicy,
+                seed: config.seed,
+                bias: config.bias,
+                instant: isInstantRun,
+                stackBalls: config.stackBalls,
+                ballCollisions: config.ballCollisions,
+                layout: config.layout ? config.layout.preset : 'triangle',
+                distribution: config.distribution,
+                dropSources: config.sources
+                    ? config.sources.map(source => source.offset + ':' + source.weight).join(', ')
+                    : '0'
+            },
+            physics: engine.physics,
+            counts: engine.getCounts(),
+            ballRecords: engine.getBallRecords(),
+            layout: config.layout
+        });
+    }
+
+    /**
+     * Offers text to the user as a file download.
+     * @param {string} filename - Suggested file name.
+     * @param {string} text - File contents.
+     * @param {string} mimeType - MIME type of the contents.
+     */
+    function downloadFile(filename, text, mimeType) {
+        downloadBlob(filename, new Blob([text], { type: mimeType }));
+    }
+
+    /**
+     * Offers binary data, such as an image or a video, to the user as a file download.
+     * @param {string} filename - Suggested file name.
+     * @param {Blob} blob - File contents.
+     */
+    function downloadBlob(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Restores the board, the histogram and the ball records from an exported JSON run,
+     * without simulating it again. The controls are set to the run's configuration.
+     * @param {string} text - Contents of the exported JSON file.
+     */
+    function importRunResult(text) {
+        let result;
+        try {
+            result = parseRunResult(text);
+        } catch (error) {
+            setActionError(importJsonButton, 'Could not import the file: ' + error.message);
+            return;
+        }
+        const settings = result.settings;
+        setBoardLayout(result.layout || null);
+        numRowsInput.value = settings.rows;
+        if (settings.balls !== undefined) numBallsInput.value = settings.balls;
+        if (settings.binCapacity !== undefined) binCapacityInput.value = settings.binCapacity;
+        if (OVERFLOW_POLICIES.indexOf(settings.overflowPolicy) !== -1) overflowPolicyInput.value = settings.overflowPolicy;
+        if (settings.seed !== undefined) seedInput.value = settings.seed;
+        if (settings.bias !== undefined) biasInput.value = settings.bias;
+        instantModeInput.checked = Boolean(settings.instant);
+        stackBallsInput.checked = Boolean(settings.stackBalls);
+        ballCollisionsInput.checked = Boolean(settings.ballCollisions);
+        drawDistributionInput.value = DRAW_DISTRIBUTIONS.indexOf(settings.distribution) !== -1
+            ? settings.distribution
+            : 'bernoulli';
+        dropSourcesInput.value = typeof settings.dropSources === 'string' ? settings.dropSources : '0';
+        PHYSICS_CONTROLS.forEach(({ key, input }) => {
+            if (typeof result.physics[key] === 'number') input.value = result.physics[key];
+        });
+        updatePhysicsPresetInput();
+        updateInputChecks();
+
+        resetSimulation(); // Rebuild the board for the imported configuration.
+        if (settings.seed !== undefined) engine.configure({ seed: settings.seed });
+        try {
+            engine.restoreResults(result.counts, result.balls);
+        } catch (error) {
+            resetSimulation();
+            setActionError(importJsonButton, 'Could not import the file: ' + error.message);
+            return;
+        }
+        setActionError(importJsonButton, null);
+        setActionError(layoutPresetInput, null); // The imported run replaced the layout.
+        ballsToDropTotal = settings.balls || 0;
+        isInstantRun = Boolean(settings.instant);
+
+        renderer.render();
+        updateStatsPanel(true);
+        updateComparePanel();
+        showGoodnessOfFit();
+        resetButton.disabled = false;
+        announce(describeRunResult('Run imported'));
+    }
+
+    // --- Image Export and Recording ---
+
+    /**
+     * Offers board A, as it is drawn now, as a PNG image. The image is drawn afresh at the width picked in the
+     * image width menu, so its resolution does not depend on the size of the board on screen.
+     */
+    function exportImage() {
+        const geometry = engine.geometry;
+        const scale = parseInt(imageWidthInput.value) / geometry.width;
+        const imageCanvas = document.createElement('canvas');
+        imageCanvas.width = Math.round(geometry.width * scale);
+        imageCanvas.height = Math.round(geometry.height * scale);
+        renderer.renderTo(imageCanvas.getContext('2d'), scale, IMAGE_BACKGROUND);
+        imageCanvas.toBlob(blob => downloadBlob('galton-board.png', blob), 'image/png');
+    }
+
+    /**
+     * Offers board A, as it is drawn now, as an SVG image, e.g. the final state of a run for a document.
+     */
+    function exportSvg() {
+        const svg = createSvgContext(engine.geometry.width, engine.geometry.height);
+        renderer.renderTo(svg, 1, IMAGE_BACKGROUND);
+        downloadFile('galton-board.svg', svg.toSVG(), 'image/svg+xml');
+    }
+
+    /**
+     * Picks the video format for recording runs.
+     * @returns {string|null} The MIME type of the first entry of RECORDING_TYPES the browser can record, or null
+     *          if it cannot record the board canvas frame by frame.
+     */
+    function getRecordingType() {
+        if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function' ||
+            typeof CanvasCaptureMediaStreamTrack === 'undefined' ||
+            !('requestFrame' in CanvasCaptureMediaStreamTrack.prototype)) {
+            return null;
+        }
+        return RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Starts recording board A for an animated run. The canvas stream adds no frames of its own; gameLoop()
+     * adds every frame it draws, so the video shows exactly what the page animated.
+     */
+    function startRecording() {
+        const mimeType = getRecordingType();
+        if (!mimeType) return;
+        const stream = canvas.captureStream(0);
+        const chunks = [];
+        const runRecorder = new MediaRecorder(stream, { mimeType: mimeType });
+        runRecorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        runRecorder.addEventListener('stop', () => {
+            stream.getTracks().forEach(track => track.stop());
+            const extension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+            downloadBlob('galton-run.' + extension, new Blob(chunks, { type: mimeType }));
+        });
+        runRecorder.start();
+        recorder = runRecorder;
+        recordingTrack = stream.getVideoTracks()[0];
+    }
+
+    /**
+     * Ends the recording of a run, if one is being recorded, and offers it as a download. The video keeps
+     * showing the last frame for RECORDING_END_HOLD before it ends.
+     */
+    function stopRecording() {
+        if (!recorder) return;
+        const runRecorder = recorder;
+        recorder = null;
+        recordingTrack = null;
+        setTimeout(() => runRecorder.stop(), RECORDING_END_HOLD);
+    }
+
+    // --- Peg Layouts ---
+
+    /**
+     * Sets the board's peg layout and shows its preset, or "Custom" for an edited layout.
+     * A loaded layout keeps its preset name only if it matches that preset exactly.
+     * Does not rebuild the board; callers reset the simulation afterwards.
+     * @param {object|null} layout - The layout (see layouts.js), or null for the triangle of numRows rows.
+     */
+    function setBoardLayout(layout) {
+        if (layout) {
+            const rows = getLayoutRowCount(layout);
+            if (LAYOUT_PRESETS.indexOf(layout.preset) === -1 ||
+                layoutToJSON(createPresetLayout(layout.preset, rows)) !== layoutToJSON(layout)) {
+                layout.preset = 'custom';
+            }
+            numRowsInput.value = rows;
+        }
+        layoutPresetInput.value = layout ? layout.preset : 'triangle';
+        boardLayout = layout && layout.preset === 'triangle' ? null : layout; // The plain triangle needs no layout.
+    }
+
+    /**
+     * Rebuilds the layout from the selected preset for the entered number of rows. A custom layout is kept.
+     */
+    function applyLayoutPreset() {
+        const preset = layoutPresetInput.value;
+        const rows = parseInt(numRowsInput.value);
+        if (preset === 'custom' || !(rows >= 1 && rows <= MAX_LAYOUT_ROWS)) return;
+        boardLayout = preset === 'triangle' ? null : createPresetLayout(preset, rows);
+    }
+
+    /**
+     * Finds the peg or removed peg of the layout under a point on the board.
+     * @param {object} layout - The layout to search.
+     * @param {{x: number, y: number}} point - Position on the board.
+     * @returns {{point: {x: number, y: number}, isHole: boolean}|null} The nearest peg or hole within reach of the
+     *          point, or null if there is none.
+     */
+    function findLayoutPointAt(layout, point) {
+        const reach = engine.geometry.pegSpacingX / 3; // Generous, since the pegs are small targets.
+        let nearest = null;
+        let nearestDistance = reach;
+        [[layout.pegs, false], [layout.holes, true]].forEach(([points, isHole]) => {
+            points.forEach(candidate => {
+                const position = engine.latticeToBoard(candidate.x, candidate.y);
+                const distance = Math.hypot(position.x - point.x, position.y - point.y);
+                if (distance <= nearestDistance) {
+                    nearest = { point: candidate, isHole: isHole };
+                    nearestDistance = distance;
+                }
+            });
+        });
+        return nearest;
+    }
+
+    /**
+     * Marks the layout as edited and rebuilds the board for it. Any results on the board are cleared.
+     * @param {object} layout - The edited layout.
+     */
+    function applyLayoutEdit(layout) {
+        layout.preset = 'custom';
+        setBoardLayout(layout);
+        resetSimulation();
+    }
+
+    /**
+     * Redraws the main board with a layout that is still being edited, without resetting the run or the URL;
+     * applyLayoutEdit() does that once the edit is done.
+     * @param {object} layout - The edited layout.
+     */
+    function previewLayoutEdit(layout) {
+        layout.preset = 'custom';
+        setBoardLayout(layout);
+        engine.configure(readBoardSettings());
+        renderer.resize(getAvailableWidth()); // Moving a peg outward widens the board.
+        renderer.render();
+    }
+
+    /**
+     * Starts a click or drag on a peg or removed peg while the peg editor is open.
+     * @param {PointerEvent} event - The pointerdown event.
+     */
+    function startPegDrag(event) {
+        if (!editPegsInput.checked || isRunActive) return;
+        // The triangle is only turned into an editable layout once it is actually changed.
+        const layout = boardLayout || createPresetLayout('triangle', engine.config.rows);
+        const target = findLayoutPointAt(layout, renderer.toBoardPoint(event.clientX, event.clientY));
+        if (!target) return;
+        pegDrag = { layout: layout, point: target.point, isHole: target.isHole,
+                    clientX: event.clientX, clientY: event.clientY, moved: false, edited: false };
+        event.preventDefault();
+    }
+
+    /**
+     * Moves the dragged peg to the pointer, snapped to the editor grid and kept on the board.
+     * The board follows the peg; the run is reset when the drag ends.
+     * @param {PointerEvent} event - The pointermove event.
+     */
+    function movePegDrag(event) {
+        if (!pegDrag || pegDrag.isHole) return;
+        if (!pegDrag.moved &&
+            Math.hypot(event.clientX - pegDrag.clientX, event.clientY - pegDrag.clientY) < DRAG_THRESHOLD) return;
+        pegDrag.moved = true;
+        const point = renderer.toBoardPoint(event.clientX, event.clientY);
+        const lattice = engine.boardToLattice(point.x, point.y);
+        const snap = value => Math.round(value / LAYOUT_SNAP) * LAYOUT_SNAP;
+        const x = Math.max(-MAX_LAYOUT_ROWS / 2, Math.min(MAX_LAYOUT_ROWS / 2, snap(lattice.x)));
+        const y = Math.max(0, Math.min(MAX_LAYOUT_ROWS - 1, snap(lattice.y)));
+        if (x === pegDrag.point.x && y === pegDrag.point.y) return;
+        pegDrag.point.x = x;
+        pegDrag.point.y = y;
+        pegDrag.edited = true;
+        previewLayoutEdit(pegDrag.layout);
+    }
+
+    /**
+     * Ends a drag and resets the run for the moved peg, or for a click without a drag removes the peg or puts
+     * the removed peg back. The last peg of a layout cannot be removed.
+     */
+    function endPegDrag() {
+        if (!pegDrag) return;
+        const { layout, point, isHole, moved, edited } = pegDrag;
+        pegDrag = null;
+        if (moved) {
+            if (edited) applyLayoutEdit(layout);
+            return;
+        }
+        const from = isHole ? layout.holes : layout.pegs;
+        const to = isHole ? layout.pegs : layout.holes;
+        if (!isHole && layout.pegs.length === 1) return;
+        from.splice(from.indexOf(point), 1);
+        to.push(point);
+        applyLayoutEdit(layout);
+    }
+
+    /**
+     * Applies the selected peg overlay to the renderers of both boards.
+     */
+    function updatePegOverlay() {
+        const overlay = pegOverlayInput.value === 'off' ? null : pegOverlayInput.value;
+        boards.forEach(board => { board.renderer.options.pegOverlay = overlay; });
+    }
+
+    // --- Advanced Physics ---
+
+    /**
+     * Sets the physics inputs to a preset.
+     * @param {string} name - Key of the preset in PHYSICS_PRESETS.
+     */
+    function applyPhysicsPreset(name) {
+        const values = Object.assign({}, PHYSICS, PHYSICS_PRESETS[name]);
+        PHYSICS_CONTROLS.forEach(({ key, input }) => { input.value = values[key]; });
+        physicsPresetInput.value = name;
+    }
+
+    /**
+     * Shows the preset that the physics inputs match, or "Custom" if they match none.
+     */
+    function updatePhysicsPresetInput() {
+        const matches = name => {
+            const values = Object.assign({}, PHYSICS, PHYSICS_PRESETS[name]);
+            return PHYSICS_CONTROLS.every(({ key, input }) => parseFloat(input.value) === values[key]);
+        };
+        physicsPresetInput.value = Object.keys(PHYSICS_PRESETS).find(matches) || 'custom';
+    }
+
+    // --- Shareable URL ---
+
+    /**
+     * Encodes a list of layout positions for the URL as x and y of each position in turn, e.g. "0_0_-0.5_1_0.5_1".
+     * The underscore is one of the few separators that URLs carry without escaping.
+     * @param {Array<{x: number, y: number}>} points - The positions, in lattice units.
+     * @returns {string} The encoded positions.
+     */
+    function encodePoints(points) {
+        return points.map(point => point.x + '_' + point.y).join('_');
+    }
+
+    /**
+     * Decodes a list of layout positions written by encodePoints().
+     * @param {string|null} text - The encoded positions, or null if the parameter is missing.
+     * @returns {Array<{x: number, y: number}>} The positions; validateLayout() rejects malformed ones.
+     */
+    function decodePoints(text) {
+        const values = text ? text.split('_').map(Number) : [];
+        const points = [];
+        for (let i = 0; i < values.length; i += 2) {
+            points.push({ x: values[i], y: values[i + 1] }); // A missing y is undefined and fails validation.
+        }
+        return points;
+    }
+
+    /**
+     * Writes the current configuration into the page URL, without adding a history entry.
+     * A custom peg layout is written as its peg and removed peg positions.
+     */
+    function updateUrlState() {
+        const params = new URLSearchParams();
+        URL_CONTROLS.forEach(({ param, input }) => {
+            if (input.type === 'checkbox') {
+                if (input.checked !== input.defaultChecked) params.set(param, input.checked ? '1' : '0');
+            } else if (input.tagName === 'SELECT') {
+                const defaultOption = Array.from(input.options).find(option => option.defaultSelected);
+                if (!defaultOption || input.value !== defaultOption.value) params.set(param, input.value);
+            } else if (input.value !== input.defaultValue) {
+                params.set(param, input.value);
+            }
+        });
+        if (layoutPresetInput.value === 'custom' && boardLayout) {
+            params.set('pegs', encodePoints(boardLayout.pegs));
+            if (boardLayout.holes.length > 0) params.set('holes', encodePoints(boardLayout.holes));
+        }
+        const query = params.toString();
+        history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+    }
+
+    /**
+     * Sets the controls from the page URL, if it carries a configuration written by updateUrlState().
+     * Values are checked like typed ones, so invalid ones are marked next to their input; a select keeps its
+     * value if the URL names an option it does not have.
+     */
+    function restoreUrlState() {
+        const params = new URLSearchParams(location.search);
+        URL_CONTROLS.forEach(({ param, input }) => {
+            const value = params.get(param);
+            if (value === null) return;
+            if (input.type === 'checkbox') {
+                input.checked = value === '1';
+            } else if (input.tagName === 'SELECT') {
+                const option = Array.from(input.options).find(candidate => candidate.value === value);
+                if (option && !option.disabled) input.value = value;
+            } else {
+                input.value = value;
+            }
+        });
+        if (params.get('layout') === 'custom') {
+            try {
+                setBoardLayout(validateLayout({
+                    preset: 'custom',
+                    pegs: decodePoints(params.get('pegs')),
+                    holes: decodePoints(params.get('holes'))
+                }));
+            } catch (error) {
+                setActionError(layoutPresetInput, 'Could not restore the peg layout from the link: ' + error.message);
+            }
+        } else {
+            applyLayoutPreset();
+        }
+        boards.forEach(board => { board.renderer.options.showTheory = showTheoryInput.checked; });
+        updatePegOverlay();
+        updateCompareVisibility();
+        updatePhysicsPresetInput();
+        updateKeyboardShortcuts();
+    }
+
+    /**
+     * Turns the keyboard shortcuts on or off as the "Keyboard shortcuts" checkbox says, and shows them in the
+     * titles of their buttons and to assistive technology only while they are on.
+     */
+    function updateKeyboardShortcuts() {
+        const enabled = keyboardShortcutsInput.checked;
+        Object.entries(SHORTCUT_BUTTONS).forEach(([key, button]) => {
+            const label = button.title.replace(/ \(.\)$/, ''); // The title without the shortcut.
+            button.title = enabled ? label + ' (' + key.toUpperCase() + ')' : label;
+            if (enabled) {
+                button.setAttribute('aria-keyshortcuts', key.toUpperCase());
+            } else {
+                button.removeAttribute('aria-keyshortcuts');
+            }
+        });
+    }
+
+    /**
+     * Copies the link to the current configuration to the clipboard. If the browser does not allow that,
+     * the link is shown so it can be copied by hand.
+     */
+    function copyLink() {
+        updateUrlState();
+        const url = location.href;
+        const showLink = () => prompt("Copy this link:", url);
+        if (!navigator.clipboard) {
+            showLink();
+            return;
+        }
+        navigator.clipboard.writeText(url).then(() => {
+            copyLinkButton.textContent = 'Link copied';
+            setTimeout(() => { copyLinkButton.textContent = 'Copy link'; }, COPY_FEEDBACK_TIME);
+        }, showLink);
     }
 
     // --- Event Listeners ---
     startButton.addEventListener('click', startSimulation);
-    resetButton.addEventListener('click', resetSimulation);
+    resetButton.addEventListener('click', () => {
+        resetSimulation();
+        announce('The board was reset.');
+    });
+    pauseButton.addEventListener('click', togglePause);
+    stepButton.addEventListener('click', stepSimulation);
+    speedInput.addEventListener('input', updateSimulationSpeed);
+    copyLinkButton.addEventListener('click', copyLink);
+    exportJsonButton.addEventListener('click', () => {
+        downloadFile('galton-run.json', toJSON(getRunResult()), 'application/json');
+    });
+    exportBinsCsvButton.addEventListener('click', () => {
+        downloadFile('galton-bins.csv', binsToCSV(getRunResult()), 'text/csv');
+    });
+    exportBallsCsvButton.addEventListener('click', () => {
+        downloadFile('galton-balls.csv', ballsToCSV(getRunResult()), 'text/csv');
+    });
+    exportPngButton.addEventListener('click', exportImage);
+    exportSvgButton.addEventListener('click', exportSvg);
+    importJsonButton.addEventListener('click', () => importFileInput.click());
+    canvas.addEventListener('click', event => {
+        if (editPegsInput.checked) return; // Clicks edit the pegs instead.
+        const point = renderer.toBoardPoint(event.clientX, event.clientY);
+        const binIndex = renderer.getBinAt(point.x, point.y);
+        if (binIndex === null) return;
+        selectBin(binIndex === renderer.options.highlightBin ? null : binIndex); // Clicking the selected bin again clears it.
+    });
+    replayButton.addEventListener('click', replayNextBall);
+    clearPathsButton.addEventListener('click', () => selectBin(null));
+    importFileInput.addEventListener('change', () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = ''; // Allow importing the same file again.
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => importRunResult(reader.result);
+        reader.readAsText(file);
+    });
+
+    canvas.addEventListener('pointerdown', startPegDrag);
+    canvas.addEventListener('pointermove', movePegDrag);
+    window.addEventListener('pointerup', endPegDrag);
+    window.addEventListener('pointercancel', endPegDrag);
+    editPegsInput.addEventListener('change', () => {
+        renderer.options.editMode = editPegsInput.checked;
+        canvas.classList.toggle('editing', editPegsInput.checked);
+        renderIfIdle(); // Show or hide the removed pegs.
+    });
+    saveLayoutButton.addEventListener('click', () => {
+        const layout = boardLayout || createPresetLayout('triangle', engine.config.rows);
+        downloadFile('galton-layout.json', layoutToJSON(layout), 'application/json');
+    });
+    loadLayoutButton.addEventListener('click', () => layoutFileInput.click());
+    layoutFileInput.addEventListener('change', () => {
+        const file = layoutFileInput.files[0];
+        layoutFileInput.value = ''; // Allow loading the same file again.
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                setBoardLayout(parseLayout(reader.result));
+            } catch (error) {
+                setActionError(loadLayoutButton, 'Could not load the layout: ' + error.message);
+                return;
+            }
+            setActionError(loadLayoutButton, null);
+            setActionError(layoutPresetInput, null); // The loaded layout replaced the one from the link.
+            resetSimulation();
+        };
+        reader.readAsText(file);
+    });
 
     // When input values change and simulation is not running, reset the board to reflect changes.
     numRowsInput.addEventListener('change', () => {
-        NUM_ROWS = parseInt(numRowsInput.value); // Update global NUM_ROWS
-        if (!animationFrameId) resetSimulation(); // Reset if not currently simulating.
+        if (isRunActive) return;
+        applyLayoutPreset(); // The preset layouts grow with the rows.
+        resetSimulation();
+    });
+    layoutPresetInput.addEventListener('change', () => {
+        if (isRunActive) return;
+        setActionError(layoutPresetInput, null); // A preset replaces a layout that could not be restored.
+        applyLayoutPreset();
+        resetSimulation();
     });
     numBallsInput.addEventListener('change', () => { /* No immediate reset needed, value used at start */ });
+    biasInput.addEventListener('change', () => {
+        if (!isRunActive) resetSimulation(); // Reset so the theory shown matches the new bias.
+    });
     binCapacityInput.addEventListener('change', () => {
-        if (!animationFrameId) resetSimulation(); // Reset if not currently simulating.
+        if (!isRunActive) resetSimulation(); // Reset if not currently simulating.
+    });
+    [drawDistributionInput, dropSourcesInput].forEach(input => input.addEventListener('change', () => {
+        if (!isRunActive) resetSimulation(); // Reset so the theory shown matches the new experiment.
+    }));
+    stackBallsInput.addEventListener('change', () => {
+        if (!isRunActive) resetSimulation(); // Reset so the bins take the height for the new mode.
+    });
+    physicsPresetInput.addEventListener('change', () => {
+        applyPhysicsPreset(physicsPresetInput.value);
+        updateInputChecks(); // The preset's values are valid, so this clears any messages.
+        if (!isRunActive) resetSimulation(); // Reset so the radii and the URL match the preset.
+    });
+    PHYSICS_CONTROLS.forEach(({ input }) => input.addEventListener('change', () => {
+        updatePhysicsPresetInput();
+        if (!isRunActive) resetSimulation(); // Reset so the board is drawn with the new radii.
+    }));
+    resetPhysicsButton.addEventListener('click', () => {
+        applyPhysicsPreset('classic');
+        updateInputChecks();
+        resetSimulation();
+    });
+    showTheoryInput.addEventListener('change', () => {
+        boards.forEach(board => { board.renderer.options.showTheory = showTheoryInput.checked; });
+        // A running simulation picks the change up on its next frame.
+        if (!isRunActive) getActiveBoards().forEach(board => board.renderer.render());
     });
+    pegOverlayInput.addEventListener('change', () => {
+        updatePegOverlay();
+        // A running simulation picks the change up on its next frame.
+        if (!isRunActive || isPaused) getActiveBoards().forEach(board => board.renderer.render());
+    });
+    compareModeInput.addEventListener('change', () => {
+        if (isRunActive) return;
+        updateCompareVisibility();
+        resetSimulation(); // Rebuild the boards for their new width.
+    });
+    [compareRowsInput, compareBiasInput, compareBallsInput, compareCapacityInput, comparePhysicsInput
+    ].forEach(input => input.addEventListener('change', () => {
+        if (!isRunActive) resetSimulation();
+    }));
     window.addEventListener('resize', () => {
-        if (!animationFrameId) resetSimulation(); // Reset on window resize if not simulating.
+        // Redraw the boards, including a running or finished run, at the scale of the new viewport and pixel density.
+        getActiveBoards().forEach(board => board.renderer.resize(getAvailableWidth()));
+        if (compareModeInput.checked) resizeCompareChart();
+        if (!isRunActive || isPaused) { // A running simulation redraws on its next frame.
+            getActiveBoards().forEach(board => board.renderer.render());
+            updateComparePanel();
+        }
+    });
+    // Keep the URL in step with the controls; layout edits and imports update it through resetSimulation().
+    URL_CONTROLS.forEach(({ input }) => input.addEventListener('change', updateUrlState));
+    // Point out invalid entries as soon as they are made, without waiting for the next run.
+    URL_CONTROLS.forEach(({ input }) => input.addEventListener('change', updateInputChecks));
+    keyboardShortcutsInput.addEventListener('change', () => {
+        updateKeyboardShortcuts();
+        updateUrlState(); // Keep the choice when the page is reloaded.
+    });
+    document.addEventListener('keydown', event => {
+        if (!keyboardShortcutsInput.checked) return;
+        if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+        if (event.target.closest && event.target.closest('input, select, textarea')) return; // Typing in a field.
+        const button = SHORTCUT_BUTTONS[event.key.toLowerCase()];
+        if (!button || button.disabled) return;
+        event.preventDefault();
+        button.click();
     });
 
     // --- Initial Setup Call ---
-    // Perform an initial reset to draw the board when the page loads.
+    // Restore a shared configuration, then perform an initial reset to draw the board when the page loads.
+    restoreUrlState();
+    updateSimulationSpeed();
+    updateInputChecks(); // Point out invalid values that came with the link.
+    if (!getRecordingType()) recordRunInput.closest('label').title = 'This browser cannot record the board.';
     resetSimulation();
-});
\ No newline at end of file
+});
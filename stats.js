@@ -0,0 +1,377 @@
+/**
+ * Probability and statistics helpers for the Galton board.
+ * Works as a plain browser script (exposed as the global `GaltonStats`) and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GaltonStats = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MIN_EXPECTED_PER_GROUP = 5; // Bins are merged for the chi-square test until each group expects at least this many balls.
+
+    /**
+     * Computes the binomial coefficient C(n, k).
+     * @param {number} n - Number of trials.
+     * @param {number} k - Number of successes.
+     * @returns {number} The number of ways to choose k items out of n.
+     */
+    function binomialCoefficient(n, k) {
+        if (k < 0 || k > n) return 0;
+        k = Math.min(k, n - k); // Use the symmetry C(n, k) = C(n, n - k) to shorten the loop.
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return Math.round(result);
+    }
+
+    /**
+     * Computes the binomial probability of exactly k successes in n trials.
+     * @param {number} n - Number of trials (peg rows).
+     * @param {number} k - Number of successes (bounces to the right, i.e. the bin index).
+     * @param {number} p - Probability of success in a single trial.
+     * @returns {number} The probability C(n, k) * p^k * (1 - p)^(n - k).
+     */
+    function binomialProbability(n, k, p) {
+        return binomialCoefficient(n, k) * Math.pow(p, k) * Math.pow(1 - p, n - k);
+    }
+
+    /**
+     * Evaluates the probability density of a normal distribution.
+     * @param {number} x - Point at which to evaluate the density.
+     * @param {number} mean - Mean of the distribution.
+     * @param {number} sd - Standard deviation of the distribution.
+     * @returns {number} The density at x.
+     */
+    function normalDensity(x, mean, sd) {
+        const z = (x - mean) / sd;
+        return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+    }
+
+    /**
+     * Computes the mean, variance, skewness and excess kurtosis of a histogram over bin indices.
+     * The variance is the unbiased sample variance; skewness and kurtosis use the moment estimators.
+     * @param {number[]} counts - Number of balls in each bin; bin k stands for the value k.
+     * @returns {{total: number, mean: number, variance: number, skewness: number, excessKurtosis: number}}
+     *          The sample statistics. Values that are undefined for the sample (e.g. with fewer than two balls) are NaN.
+     */
+    function sampleMoments(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            return { total: 0, mean: NaN, variance: NaN, skewness: NaN, excessKurtosis: NaN };
+        }
+        const mean = counts.reduce((sum, count, k) => sum + count * k, 0) / total;
+        let m2 = 0, m3 = 0, m4 = 0; // Central moments.
+        counts.forEach((count, k) => {
+            const d = k - mean;
+            m2 += count * d * d;
+            m3 += count * d * d * d;
+            m4 += count * d * d * d * d;
+        });
+        m2 /= total;
+        m3 /= total;
+        m4 /= total;
+        return {
+            total: total,
+            mean: mean,
+            variance: total > 1 ? m2 * total / (total - 1) : NaN,
+            skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : NaN,
+            excessKurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : NaN
+        };
+    }
+
+    /**
+     * Computes the theoretical mean, variance, skewness and excess kurtosis of a binomial distribution.
+     * @param {number} n - Number of trials.
+     * @param {number} p - Probability of success in a single trial.
+     * @returns {{mean: number, variance: number, skewness: number, excessKurtosis: number}} The distribution's moments.
+     */
+    function binomialMoments(n, p) {
+        const variance = n * p * (1 - p);
+        return {
+            mean: n * p,
+            variance: variance,
+            skewness: variance > 0 ? (1 - 2 * p) / Math.sqrt(variance) : NaN,
+            excessKurtosis: variance > 0 ? (1 - 6 * p * (1 - p)) / variance : NaN
+        };
+    }
+
+    /**
+     * Computes the mean, variance, skewness and excess kurtosis of a distribution over bin indices.
+     * @param {number[]} probabilities - Probability of each bin; bin k stands for the value k.
+     * @returns {{mean: number, variance: number, skewness: number, excessKurtosis: number}} The distribution's
+     *          moments; skewness and kurtosis are NaN if the variance is zero.
+     */
+    function distributionMoments(probabilities) {
+        const mean = probabilities.reduce((sum, probability, k) => sum + probability * k, 0);
+        let m2 = 0, m3 = 0, m4 = 0; // Central moments.
+        probabilities.forEach((probability, k) => {
+            const d = k - mean;
+            m2 += probability * d * d;
+            m3 += probability * d * d * d;
+            m4 += probability * d * d * d * d;
+        });
+        return {
+            mean: mean,
+            variance: m2,
+            skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : NaN,
+            excessKurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : NaN
+        };
+    }
+
+    /**
+     * Computes the natural logarithm of the gamma function (Lanczos approximation).
+     * @param {number} x - A positive number.
+     * @returns {number} ln(Γ(x)).
+     */
+    function logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(c => { series += c / ++y; });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    /**
+     * Computes the regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x).
+     * Uses the series expansion for small x and a continued fraction otherwise.
+     * @param {number} a - Shape parameter (positive).
+     * @param {number} x - Upper integration limit (non-negative).
+     * @returns {number} Q(a, x).
+     */
+    function regularizedGammaQ(a, x) {
+        if (x <= 0) return 1;
+        const logPrefix = -x + a * Math.log(x) - logGamma(a);
+        if (x < a + 1) {
+            // Series for P(a, x).
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return 1 - sum * Math.exp(logPrefix);
+        }
+        // Continued fraction for Q(a, x) (modified Lentz's method).
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.exp(logPrefix) * h;
+    }
+
+    /**
+     * Evaluates the cumulative distribution function of the sum of n independent uniform draws between 0 and 1
+     * (the Irwin-Hall distribution). The alternating sum is evaluated on the lower half of the range and the
+     * symmetry F(x) = 1 - F(n - x) used for the upper half, which keeps the cancellation harmless for n <= 30.
+     * @param {number} n - Number of draws.
+     * @param {number} x - Value of the sum.
+     * @returns {number} The probability that the sum is at most x.
+     */
+    function irwinHallCdf(n, x) {
+        if (x <= 0) return 0;
+        if (x >= n) return 1;
+        if (x > n / 2) return 1 - irwinHallCdf(n, n - x);
+        let sum = 0;
+        for (let j = 0; j <= Math.floor(x); j++) {
+            sum += (j % 2 === 0 ? 1 : -1) * binomialCoefficient(n, j) * Math.pow(x - j, n);
+        }
+        return sum / Math.exp(logGamma(n + 1));
+    }
+
+    /**
+     * Computes the probability of each bin for balls that each add up n draws of a distribution, one per row,
+     * and land in the bin nearest to their sum, as the engine's sampleBalls() does. A sum beyond the last bin is
+     * counted in it.
+     * @param {string} distribution - 'uniform' (between 0 and 1), 'exponential' (with mean exponentialMean) or
+     *        'dice' (a roll of 1 to dieFaces scaled to 0 to 1); see the engine's DRAW_DISTRIBUTIONS.
+     * @param {number} n - Number of draws, i.e. rows; there are n + 1 bins.
+     * @param {{exponentialMean: number, dieFaces: number}} parameters - Parameters of the draws; the engine's
+     *        DRAW_PARAMETERS.
+     * @returns {number[]} The probability of each of the n + 1 bins.
+     */
+    function sumOfDrawsProbabilities(distribution, n, parameters) {
+        const { exponentialMean, dieFaces } = parameters;
+        if (distribution === 'dice') {
+            // Count the ways to reach every sum of n rolls, in units of 1 / (dieFaces - 1).
+            let ways = [1];
+            for (let draw = 0; draw < n; draw++) {
+                const next = new Array(ways.length + dieFaces - 1).fill(0);
+                ways.forEach((count, total) => {
+                    for (let face = 0; face < dieFaces; face++) next[total + face] += count / dieFaces;
+                });
+                ways = next;
+            }
+            const probabilities = new Array(n + 1).fill(0);
+            ways.forEach((probability, total) => {
+                probabilities[Math.round(total / (dieFaces - 1))] += probability;
+            });
+            return probabilities;
+        }
+        // The sum of n exponential draws follows a gamma distribution with shape n.
+        const cdf = distribution === 'exponential'
+            ? x => 1 - regularizedGammaQ(n, x / exponentialMean)
+            : x => irwinHallCdf(n, x);
+        const probabilities = [];
+        for (let k = 0; k <= n; k++) {
+            const upper = k === n ? 1 : cdf(k + 0.5); // The last bin collects every larger sum.
+            probabilities.push(upper - (k === 0 ? 0 : cdf(k - 0.5)));
+        }
+        return probabilities;
+    }
+
+    /**
+     * Computes the probability of each bin of a triangular board whose balls are dropped from several positions.
+     * A ball dropped `offset` peg spacings from the center falls past the side of the triangle to its edge peg in
+     * row 2|offset|, which is the peg a ball from the center reaches after bouncing the same way 2|offset| times;
+     * the remaining rows are Bernoulli trials as usual.
+     * @param {number} n - Number of rows; there are n + 1 bins.
+     * @param {number} p - Probability that a peg sends a ball to the right.
+     * @param {Array<{offset: number, weight: number}>} sources - Drop positions, with whole number offsets of at
+     *        most n / 2 peg spacings from the center (negative to the left), and their relative weights.
+     * @returns {number[]} The probability of each of the n + 1 bins.
+     */
+    function dropSourceProbabilities(n, p, sources) {
+        const totalWeight = sources.reduce((sum, source) => sum + source.weight, 0);
+        const probabilities = new Array(n + 1).fill(0);
+        sources.forEach(({ offset, weight }) => {
+            const firstRow = 2 * Math.abs(offset);
+            const firstBin = offset > 0 ? firstRow : 0;
+            for (let k = 0; k <= n - firstRow; k++) {
+                probabilities[firstBin + k] += weight / totalWeight * binomialProbability(n - firstRow, k, p);
+            }
+        });
+        return probabilities;
+    }
+
+    /**
+     * Computes the probability of each bin for an engine configuration: the binomial distribution of the plain
+     * board, a mixture of binomials for several drop positions, or a sum of draws.
+     * @param {number} n - Number of rows; there are n + 1 bins.
+     * @param {number} p - Probability that a peg sends a ball to the right.
+     * @param {string} [distribution='bernoulli'] - Distribution of the draw per row; see sumOfDrawsProbabilities().
+     * @param {Array<{offset: number, weight: number}>|null} [sources=null] - Drop positions of the balls for the
+     *        'bernoulli' distribution, or null for the single drop above the top peg.
+     * @param {{exponentialMean: number, dieFaces: number}|null} [drawParameters=null] - Parameters of the other
+     *        distributions, which need them; the engine's DRAW_PARAMETERS.
+     * @returns {number[]} The probability of each of the n + 1 bins.
+     */
+    function binProbabilities(n, p, distribution = 'bernoulli', sources = null, drawParameters = null) {
+        if (distribution !== 'bernoulli') return sumOfDrawsProbabilities(distribution, n, drawParameters);
+        if (sources) return dropSourceProbabilities(n, p, sources);
+        const probabilities = [];
+        for (let k = 0; k <= n; k++) probabilities.push(binomialProbability(n, k, p));
+        return probabilities;
+    }
+
+    /**
+     * Computes the theoretical moments of the bins for an engine configuration, with the closed forms of the
+     * binomial distribution for the plain board.
+     * @param {number} n - Number of rows.
+     * @param {number} p - Probability that a peg sends a ball to the right.
+     * @param {string} [distribution='bernoulli'] - Distribution of the draw per row.
+     * @param {Array<{offset: number, weight: number}>|null} [sources=null] - Drop positions of the balls.
+     * @param {{exponentialMean: number, dieFaces: number}|null} [drawParameters=null] - Parameters of the draws.
+     * @returns {{mean: number, variance: number, skewness: number, excessKurtosis: number}} The moments.
+     */
+    function binMoments(n, p, distribution = 'bernoulli', sources = null, drawParameters = null) {
+        if (distribution === 'bernoulli' && !sources) return binomialMoments(n, p);
+        return distributionMoments(binProbabilities(n, p, distribution, sources, drawParameters));
+    }
+
+    /**
+     * Runs a chi-square goodness-of-fit test of a histogram against a distribution over its bins.
+     * Adjacent bins are merged from the left until every group expects at least MIN_EXPECTED_PER_GROUP
+     * balls; a too-small remainder at the right end is merged into the last group.
+     * @param {number[]} counts - Observed number of balls in each bin.
+     * @param {number[]} probabilities - Probability of each bin under the distribution.
+     * @returns {{statistic: number, degreesOfFreedom: number, pValue: number, groups: number}|null}
+     *          The test result, or null if the bins cannot be merged into at least two groups.
+     */
+    function chiSquareTest(counts, probabilities) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const groups = []; // Each group holds the summed observed and expected counts of adjacent bins.
+        let current = { observed: 0, expected: 0 };
+        counts.forEach((count, k) => {
+            current.observed += count;
+            current.expected += total * probabilities[k];
+            if (current.expected >= MIN_EXPECTED_PER_GROUP) {
+                groups.push(current);
+                current = { observed: 0, expected: 0 };
+            }
+        });
+        if (current.expected > 0 || current.observed > 0) {
+            if (groups.length > 0) {
+                groups[groups.length - 1].observed += current.observed;
+                groups[groups.length - 1].expected += current.expected;
+            } else {
+                groups.push(current);
+            }
+        }
+        if (groups.length < 2) return null;
+
+        const statistic = groups.reduce((sum, group) => {
+            const diff = group.observed - group.expected;
+            return sum + diff * diff / group.expected;
+        }, 0);
+        const degreesOfFreedom = groups.length - 1; // No parameters are estimated from the data.
+        return {
+            statistic: statistic,
+            degreesOfFreedom: degreesOfFreedom,
+            pValue: regularizedGammaQ(degreesOfFreedom / 2, statistic / 2),
+            groups: groups.length
+        };
+    }
+
+    /**
+     * Runs a chi-square goodness-of-fit test of a histogram against a binomial distribution; see chiSquareTest().
+     * @param {number[]} counts - Observed number of balls in each bin; bin k stands for k successes.
+     * @param {number} p - Probability of success in a single trial.
+     * @returns {{statistic: number, degreesOfFreedom: number, pValue: number, groups: number}|null}
+     *          The test result, or null if the bins cannot be merged into at least two groups.
+     */
+    function chiSquareBinomialTest(counts, p) {
+        return chiSquareTest(counts, binProbabilities(counts.length - 1, p));
+    }
+
+    return {
+        MIN_EXPECTED_PER_GROUP,
+        binomialCoefficient,
+        binomialProbability,
+        normalDensity,
+        sampleMoments,
+        binomialMoments,
+        distributionMoments,
+        logGamma,
+        regularizedGammaQ,
+        irwinHallCdf,
+        sumOfDrawsProbabilities,
+        dropSourceProbabilities,
+        binProbabilities,
+        binMoments,
+        chiSquareTest,
+        chiSquareBinomialTest
+    };
+}));
@@ -0,0 +1,204 @@
+/**
+ * A drawing context that records canvas drawing calls as SVG, so the board renderer (renderer.js) can draw a
+ * vector image with the same code that draws the canvas. It supports the part of the CanvasRenderingContext2D
+ * API that the renderer uses: paths of lines, arcs and rectangles, filled and stroked, text, dashes, global
+ * alpha, save/restore and setTransform. Works as a plain browser script (exposed as the global `GaltonSvg`)
+ * and as a CommonJS module in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GaltonSvg = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // SVG text-anchor for each canvas textAlign, and dominant-baseline for each canvas textBaseline.
+    const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const TEXT_BASELINES = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge' };
+
+    /**
+     * Rounds a coordinate to two decimals, which keeps the file small without visible loss.
+     * @param {number} value - The coordinate.
+     * @returns {number} The rounded coordinate.
+     */
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Escapes text for use in SVG markup.
+     * @param {*} value - The text; other values are converted to strings.
+     * @returns {string} The escaped text.
+     */
+    function escapeXml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Creates a drawing context that records into an SVG image.
+     * @param {number} width - Width of the image, in SVG user units (usually CSS pixels).
+     * @param {number} height - Height of the image.
+     * @returns {object} The context. Draw on it like on a canvas context, then call toSVG() for the markup.
+     */
+    function createSvgContext(width, height) {
+        const elements = []; // SVG markup of everything drawn so far.
+        const stack = []; // States saved by save().
+        let path = []; // Commands of the current path.
+        let circle = null; // The current path's only shape if it is a single full circle, drawn as <circle>.
+        let lineDash = [];
+        let transform = [1, 0, 0, 1, 0, 0];
+
+        const context = {
+            fillStyle: '#000',
+            strokeStyle: '#000',
+            lineWidth: 1,
+            lineJoin: 'miter',
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            globalAlpha: 1,
+
+            save() {
+                stack.push({
+                    fillStyle: context.fillStyle, strokeStyle: context.strokeStyle, lineWidth: context.lineWidth,
+                    lineJoin: context.lineJoin, font: context.font, textAlign: context.textAlign,
+                    textBaseline: context.textBaseline, globalAlpha: context.globalAlpha,
+                    lineDash: lineDash, transform: transform
+                });
+            },
+            restore() {
+                const state = stack.pop();
+                if (!state) return;
+                lineDash = state.lineDash;
+                transform = state.transform;
+                delete state.lineDash;
+                delete state.transform;
+                Object.assign(context, state);
+            },
+            setTransform(a, b, c, d, e, f) {
+                transform = [a, b, c, d, e, f];
+            },
+            setLineDash(segments) {
+                lineDash = segments.slice();
+            },
+            clearRect() {
+                // The image starts empty, and the renderer only clears the whole board before drawing it.
+            },
+
+            beginPath() {
+                path = [];
+                circle = null;
+            },
+            moveTo(x, y) {
+                path.push('M' + round(x) + ' ' + round(y));
+                circle = null;
+            },
+            lineTo(x, y) {
+                path.push((path.length === 0 ? 'M' : 'L') + round(x) + ' ' + round(y));
+                circle = null;
+            },
+            rect(x, y, w, h) {
+                path.push('M' + round(x) + ' ' + round(y) + 'h' + round(w) + 'v' + round(h) + 'h' + round(-w) + 'Z');
+                circle = null;
+            },
+            arc(x, y, radius, startAngle, endAngle) {
+                const full = Math.abs(endAngle - startAngle) >= Math.PI * 2 - 1e-9;
+                circle = full && path.length === 0 ? { x: x, y: y, radius: radius } : null;
+                const start = { x: x + radius * Math.cos(startAngle), y: y + radius * Math.sin(startAngle) };
+                const r = round(radius);
+                path.push((path.length === 0 ? 'M' : 'L') + round(start.x) + ' ' + round(start.y));
+                if (full) {
+                    // An SVG arc cannot end where it starts, so a full circle is drawn as two half circles.
+                    const opposite = { x: 2 * x - start.x, y: 2 * y - start.y };
+                    path.push('A' + r + ' ' + r + ' 0 1 1 ' + round(opposite.x) + ' ' + round(opposite.y) +
+                              'A' + r + ' ' + r + ' 0 1 1 ' + round(start.x) + ' ' + round(start.y));
+                } else {
+                    const end = { x: x + radius * Math.cos(endAngle), y: y + radius * Math.sin(endAngle) };
+                    const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+                    path.push('A' + r + ' ' + r + ' 0 ' + largeArc + ' 1 ' + round(end.x) + ' ' + round(end.y));
+                }
+            },
+
+            fill() {
+                if (circle) {
+                    addElement('<circle cx="' + round(circle.x) + '" cy="' + round(circle.y) + '" r="' +
+                               round(circle.radius) + '"' + fillAttributes() + '/>');
+                } else if (path.length > 0) {
+                    addElement('<path d="' + path.join('') + '"' + fillAttributes() + '/>');
+                }
+            },
+            stroke() {
+                if (path.length > 0) addElement('<path d="' + path.join('') + '" fill="none"' + strokeAttributes() + '/>');
+            },
+            fillRect(x, y, w, h) {
+                addElement('<rect x="' + round(x) + '" y="' + round(y) + '" width="' + round(w) + '" height="' +
+                           round(h) + '"' + fillAttributes() + '/>');
+            },
+            strokeRect(x, y, w, h) {
+                addElement('<rect x="' + round(x) + '" y="' + round(y) + '" width="' + round(w) + '" height="' +
+                           round(h) + '" fill="none"' + strokeAttributes() + '/>');
+            },
+            fillText(text, x, y) {
+                const baseline = TEXT_BASELINES[context.textBaseline];
+                addElement('<text x="' + round(x) + '" y="' + round(y) + '" style="font: ' + escapeXml(context.font) +
+                           '" text-anchor="' + (TEXT_ANCHORS[context.textAlign] || 'start') + '"' +
+                           (baseline ? ' dominant-baseline="' + baseline + '"' : '') + fillAttributes() + '>' +
+                           escapeXml(text) + '</text>');
+            },
+
+            /**
+             * Returns the recorded drawing as a standalone SVG document.
+             * @returns {string} SVG markup.
+             */
+            toSVG() {
+                return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                    '<svg xmlns="http://www.w3.org/2000/svg" width="' + round(width) + '" height="' + round(height) +
+                    '" viewBox="0 0 ' + round(width) + ' ' + round(height) + '">\n' + elements.join('\n') + '\n</svg>\n';
+            }
+        };
+
+        /**
+         * Returns the attributes for the opacity of an element, if it is drawn translucent.
+         * @returns {string} The attributes, with a leading space, or an empty string.
+         */
+        function opacityAttribute() {
+            return context.globalAlpha < 1 ? ' opacity="' + context.globalAlpha + '"' : '';
+        }
+
+        /**
+         * Returns the attributes of a filled element for the current state.
+         * @returns {string} The attributes, with a leading space.
+         */
+        function fillAttributes() {
+            return ' fill="' + escapeXml(context.fillStyle) + '"' + opacityAttribute();
+        }
+
+        /**
+         * Returns the attributes of a stroked element for the current state.
+         * @returns {string} The attributes, with a leading space.
+         */
+        function strokeAttributes() {
+            return ' stroke="' + escapeXml(context.strokeStyle) + '" stroke-width="' + round(context.lineWidth) + '"' +
+                (context.lineJoin !== 'miter' ? ' stroke-linejoin="' + context.lineJoin + '"' : '') +
+                (lineDash.length > 0 ? ' stroke-dasharray="' + lineDash.map(round).join(' ') + '"' : '') +
+                opacityAttribute();
+        }
+
+        /**
+         * Adds an element to the image, under the current transform.
+         * @param {string} markup - The element's markup.
+         */
+        function addElement(markup) {
+            const isIdentity = transform.every((value, i) => value === [1, 0, 0, 1, 0, 0][i]);
+            elements.push(isIdentity ? markup : '<g transform="matrix(' + transform.join(' ') + ')">' + markup + '</g>');
+        }
+
+        return context;
+    }
+
+    return {
+        createSvgContext
+    };
+}));
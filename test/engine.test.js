@@ -0,0 +1,153 @@
+/**
+ * Unit tests of the simulation engine; run with `node --test`.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createGaltonEngine } = require('../engine.js');
+
+/**
+ * Runs an animated run to the end.
+ * @param {object} options - Engine configuration.
+ * @param {number} count - Number of balls to drop.
+ * @returns {object} The engine after the run.
+ */
+function runToEnd(options, count) {
+    const engine = createGaltonEngine(options);
+    engine.scheduleDrops(count, 0.02);
+    while (!engine.isFinished()) engine.step();
+    return engine;
+}
+
+test('the same seed gives the same run', () => {
+    const first = runToEnd({ rows: 10, seed: 42 }, 200);
+    const second = runToEnd({ rows: 10, seed: 42 }, 200);
+    assert.deepStrictEqual(second.getCounts(), first.getCounts());
+    assert.deepStrictEqual(second.getBallRecords(), first.getBallRecords());
+});
+
+/**
+ * Loads renderer.js, a plain browser script, with a canvas that ignores what is drawn on it.
+ * @returns {{createBoardRenderer: function, createCanvas: function(): object}} The renderer factory and a
+ *          function that creates such canvases.
+ */
+function loadRenderer() {
+    const root = { GaltonStats: require('../stats.js'), GaltonEngine: require('../engine.js'), devicePixelRatio: 1 };
+    root.self = root;
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'renderer.js'), 'utf8'), root);
+    const context = new Proxy({}, { get: (target, key) => key in target ? target[key] : () => {} });
+    return {
+        createBoardRenderer: root.createBoardRenderer,
+        createCanvas: () => ({ style: {}, getContext: () => context })
+    };
+}
+
+test('the same seed gives the same counts at any board width', () => {
+    const { createBoardRenderer, createCanvas } = loadRenderer();
+    const results = [Infinity, 500, 300].map(width => {
+        const engine = createGaltonEngine({ rows: 10, binCapacity: Infinity, seed: 42 });
+        const renderer = createBoardRenderer(createCanvas(), engine);
+        renderer.resize(width);
+        engine.scheduleDrops(300, 0.02);
+        for (let i = 0; !engine.isFinished(); i++) {
+            engine.step();
+            if (i === 60) renderer.resize(width / 2); // Resizing during the run changes only the drawing.
+            renderer.render();
+        }
+        return engine.getCounts();
+    });
+    assert.deepStrictEqual(results[1], results[0]);
+    assert.deepStrictEqual(results[2], results[0]);
+});
+
+test('different seeds give different runs', () => {
+    const first = runToEnd({ rows: 10, seed: 1 }, 200);
+    const second = runToEnd({ rows: 10, seed: 2 }, 200);
+    assert.notDeepStrictEqual(second.getBallRecords(), first.getBallRecords());
+});
+
+test('the tally accounts for every ball during a run', () => {
+    const engine = createGaltonEngine({ rows: 8, binCapacity: 10, overflowPolicy: 'lose', seed: 7 });
+    const events = { balldropped: 0, balllanded: 0, balllost: 0 };
+    Object.keys(events).forEach(type => engine.on(type, () => { events[type]++; }));
+    engine.scheduleDrops(150, 0.02);
+    while (!engine.isFinished()) {
+        engine.step();
+        const tally = engine.getTally();
+        assert.strictEqual(tally.binned + tally.lost + tally.inFlight + tally.waiting, 150);
+    }
+    const tally = engine.getTally();
+    assert.strictEqual(events.balldropped, 150);
+    assert.strictEqual(tally.binned, events.balllanded);
+    assert.strictEqual(tally.lost, events.balllost);
+    assert.ok(tally.lost > 0, 'full bins under the lose policy lose balls');
+    engine.bins.forEach(bin => assert.ok(bin.count <= bin.maxCapacity));
+});
+
+test('the pegs count every ball once per peg it hit', () => {
+    const engine = runToEnd({ rows: 10, binCapacity: Infinity, seed: 3 }, 200);
+    const records = engine.getBallRecords();
+    records.forEach(record => assert.ok(record.binIndex !== null || record.lost));
+    const hits = engine.pegs.reduce((sum, peg) => sum + peg.hits, 0);
+    const pegsHit = records.reduce((sum, record) => sum + new Set(record.path.map(hit => hit.pegIndex)).size, 0);
+    assert.strictEqual(hits, pegsHit);
+});
+
+test('stacked balls come to rest apart from each other', () => {
+    [
+        { rows: 10, stackBalls: true, binCapacity: 15, seed: 3 },
+        { rows: 10, stackBalls: true, binCapacity: 40, seed: 1 },
+        { rows: 10, stackBalls: true, binCapacity: 25, ballCollisions: true, seed: 9 }
+    ].forEach(options => {
+        const engine = createGaltonEngine(options);
+        engine.scheduleDrops(300, 0.02);
+        for (let i = 0; i < 10000 && !engine.isFinished(); i++) engine.step();
+        assert.ok(engine.isFinished(), `the run with seed ${options.seed} ends`);
+        const pile = engine.bins.flatMap(bin => bin.stack);
+        const minDistance = 2 * engine.geometry.ballRadius - 0.01;
+        pile.forEach((ball, i) => pile.slice(i + 1).forEach(other => {
+            const distance = Math.hypot(ball.x - other.x, ball.y - other.y);
+            assert.ok(distance >= minDistance, `balls ${ball.index} and ${other.index} overlap by ${
+                (2 * engine.geometry.ballRadius - distance).toFixed(3)}`);
+        }));
+    });
+});
+
+test('sampled balls follow the binomial distribution and pass every peg', () => {
+    const { chiSquareBinomialTest } = require('../stats.js');
+    const engine = createGaltonEngine({ rows: 30, bias: 0.3, seed: 5 });
+    engine.sampleBalls(1e7);
+    assert.strictEqual(engine.getTally().binned, 1e7);
+    assert.ok(chiSquareBinomialTest(engine.getCounts(), 0.3).pValue > 0.001);
+    for (let row = 0; row < 30; row++) {
+        const hits = engine.pegs.filter(peg => peg.row === row).reduce((sum, peg) => sum + peg.hits, 0);
+        assert.strictEqual(hits, 1e7);
+    }
+});
+
+test('animated balls follow the binomial distribution with the default physics', () => {
+    const { chiSquareBinomialTest } = require('../stats.js');
+    const engine = runToEnd({ rows: 10, binCapacity: Infinity, seed: 11 }, 2000);
+    assert.strictEqual(engine.getTally().binned, 2000);
+    assert.ok(chiSquareBinomialTest(engine.getCounts(), 0.5).pValue > 0.001);
+    engine.getBallRecords().forEach(record => assert.strictEqual(record.path.length, 10, 'one peg per row'));
+});
+
+test('every row makes one decision with the right-bounce probability', () => {
+    const { chiSquareBinomialTest } = require('../stats.js');
+    const { PHYSICS_PRESETS } = require('../engine.js');
+    const options = { rows: 10, bias: 0.8, binCapacity: Infinity, physics: PHYSICS_PRESETS.sticky, seed: 4 };
+    const engine = runToEnd(options, 2000);
+    const records = engine.getBallRecords();
+    records.forEach(record => {
+        const decisions = new Map(record.path.map(hit => [hit.row, hit.direction]));
+        assert.strictEqual(decisions.size, 10, `ball ${record.index} meets every row`);
+        const rights = [...decisions.values()].filter(direction => direction === 'R').length;
+        assert.strictEqual(rights, record.binIndex, `ball ${record.index} lands in the bin of its right bounces`);
+    });
+    assert.ok(chiSquareBinomialTest(engine.getCounts(), 0.8).pValue > 0.001);
+});
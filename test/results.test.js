@@ -0,0 +1,81 @@
+/**
+ * Unit tests of the run result import; run with `node --test`.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRunResult } = require('../results.js');
+const { layoutToJSON, parseLayout } = require('../layouts.js');
+
+/**
+ * Builds the JSON of an exported run of an empty board with the given peg layout.
+ * @param {*} layout - The run's layout, as it would appear in the file.
+ * @returns {string} The JSON text.
+ */
+function runWithLayout(layout) {
+    return JSON.stringify({
+        format: 'galton-board-run',
+        version: 1,
+        settings: { rows: 2 },
+        counts: [0, 0, 0],
+        balls: [],
+        layout
+    });
+}
+
+test('runs and saved layouts accept and reject the same layouts', () => {
+    const layouts = [
+        { preset: 'custom', pegs: [{ x: 0, y: 0 }], holes: [] },
+        { pegs: [{ x: -0.5, y: 1 }, { x: 0.5, y: 1 }] },
+        { pegs: [] },
+        { pegs: [{ x: 0, y: -1 }] },
+        { pegs: [{ x: '0', y: 0 }] },
+        { pegs: [{ x: 0, y: 0 }], holes: 'none' },
+        null
+    ];
+    layouts.forEach(layout => {
+        const text = JSON.stringify(Object.assign({ format: 'galton-board-layout', version: 1 }, layout));
+        let expected = null;
+        try {
+            expected = parseLayout(text);
+        } catch (error) {
+            assert.throws(() => parseRunResult(runWithLayout(layout)), /peg layout is invalid/);
+            return;
+        }
+        assert.deepStrictEqual(parseRunResult(runWithLayout(layout)).layout, expected);
+        assert.deepStrictEqual(parseLayout(layoutToJSON(expected)), expected);
+    });
+});
+
+test('runs with settings outside the accepted ranges are rejected', () => {
+    const runWithSettings = settings => JSON.stringify({
+        format: 'galton-board-run',
+        version: 1,
+        settings: Object.assign({ rows: 2 }, settings),
+        counts: [0, 0, 0],
+        balls: []
+    });
+    [
+        { seed: 'abc' },
+        { seed: -1 },
+        { bias: 7 },
+        { bias: '0.5' },
+        { balls: 6000 },
+        { balls: 1.5 },
+        { binCapacity: 300, stackBalls: true },
+        { binCapacity: null }
+    ].forEach(settings => {
+        assert.throws(() => parseRunResult(runWithSettings(settings)), /settings are invalid/, JSON.stringify(settings));
+    });
+    assert.throws(() => parseRunResult(JSON.stringify({
+        format: 'galton-board-run', version: 1, settings: { rows: 31 }, counts: new Array(32).fill(0), balls: []
+    })), /Number of rows must be/);
+    [
+        { seed: 4294967295, bias: 1, balls: 0, binCapacity: 1000 },
+        { balls: 10000000, instant: true },
+        { binCapacity: 200, stackBalls: true }
+    ].forEach(settings => {
+        assert.deepStrictEqual(parseRunResult(runWithSettings(settings)).settings, Object.assign({ rows: 2 }, settings));
+    });
+});
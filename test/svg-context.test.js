@@ -0,0 +1,53 @@
+/**
+ * Unit tests of the SVG drawing context; run with `node --test`.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createSvgContext } = require('../svg-context.js');
+const { createGaltonEngine } = require('../engine.js');
+
+/**
+ * Loads renderer.js, a plain browser script, with a canvas whose own drawing is ignored.
+ * @returns {function(object): object} A function that creates a renderer for an engine.
+ */
+function loadRenderer() {
+    const root = { GaltonStats: require('../stats.js'), GaltonEngine: require('../engine.js'), devicePixelRatio: 1 };
+    root.self = root;
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'renderer.js'), 'utf8'), root);
+    const context = new Proxy({}, { get: (target, key) => key in target ? target[key] : () => {} });
+    return engine => root.createBoardRenderer({ style: {}, getContext: () => context }, engine);
+}
+
+test('a board drawn through the SVG context has its pegs as circles and its bin counts as text', () => {
+    const engine = createGaltonEngine({ rows: 3, binCapacity: Infinity, seed: 8 });
+    engine.sampleBalls(20);
+    const renderer = loadRenderer()(engine);
+    renderer.resize(400);
+    const svg = createSvgContext(engine.geometry.width, engine.geometry.height);
+    renderer.renderTo(svg, 1, '#fff');
+
+    const markup = svg.toSVG();
+    assert.match(markup, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.ok(markup.endsWith('</svg>\n'));
+    engine.pegs.forEach(peg => {
+        const circle = '<circle cx="' + peg.x + '" cy="' + peg.y + '" r="' + engine.geometry.pegRadius + '"';
+        assert.ok(markup.includes(circle), `peg ${peg.row}:${peg.col} is drawn as a circle`);
+    });
+    const labels = [...markup.matchAll(/<text [^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+    assert.deepStrictEqual(labels, engine.getCounts().map(String));
+});
+
+test('text and attribute values are escaped', () => {
+    const svg = createSvgContext(100, 50);
+    svg.font = '10px "Odd" <Font>';
+    svg.fillStyle = 'url("#a")';
+    svg.fillText('<b> & "c"', 10, 20);
+    const text = svg.toSVG().split('\n').find(line => line.startsWith('<text'));
+    assert.strictEqual(text, '<text x="10" y="20" style="font: 10px &quot;Odd&quot; &lt;Font&gt;" text-anchor="start"' +
+                       ' fill="url(&quot;#a&quot;)">&lt;b&gt; &amp; &quot;c&quot;</text>');
+});